@@ -73,6 +73,7 @@ var Model = exports.Model = function(schema, name, fields, options){
     // Check
     if (_.difference(this.options.pk, Object.keys(this.fields)).length !== 0)
         throw new errors.MissyModelError(this, 'PK contains undefined fields');
+    ModelOptions.check(this);
 
     // Tools
     this.converter = new u.Converter(this);
@@ -106,6 +107,12 @@ var Model = exports.Model = function(schema, name, fields, options){
      * @private
      */
     this._queryWith = undefined;
+
+    /** The prototype for loaded entities: options.entityPrototype with the relation accessors
+     * @type {Object?}
+     * @private
+     */
+    this._entityPrototype = this._makeEntityPrototype();
 };
 util.inherits(Model, events.EventEmitter);
 
@@ -259,8 +266,8 @@ Model.prototype.entityImport = function(entity){
         })
         // entityPrototype
         .then(function(){
-            if (self.options.entityPrototype)
-                entity.__proto__ = self.options.entityPrototype;
+            if (self._entityPrototype)
+                entity.__proto__ = self._entityPrototype;
         })
         // afterImport
         .then(function(){
@@ -270,6 +277,56 @@ Model.prototype.entityImport = function(entity){
         .then(function(){ return entity; });
 };
 
+/** Make up the prototype for loaded entities: options.entityPrototype with the relation accessors.
+ * The accessors are non-enumerable, and are not shadowing the fields:
+ * - entity.$load(prop): load the related entities with the named relation
+ * - entity[prop](): the same, for every relation
+ * The related entities are cached per entity, and are not assigned to it.
+ * @returns {Object?}
+ * @protected
+ */
+Model.prototype._makeEntityPrototype = function(){
+    var self = this,
+        base = this.options.entityPrototype;
+
+    if (!this.options.relationAccessors || _.isEmpty(this.relations))
+        return base;
+
+    var proto = Object.create(base || Object.prototype);
+    var define = function(name, method){
+        Object.defineProperty(proto, name, { value: method, writable: true, configurable: true });
+    };
+
+    // $load()
+    define('$load', function(prop){
+        var entity = this;
+
+        // Cache
+        if (!_.has(entity, '$related'))
+            Object.defineProperty(entity, '$related', { value: {} });
+
+        // Load a copy
+        if (!(prop in entity.$related))
+            entity.$related[prop] = self.loadRelated(_.extend({}, entity), prop)
+                .get(prop)
+                .catch(function(e){
+                    delete entity.$related[prop]; // retry next time
+                    throw e;
+                });
+        return entity.$related[prop];
+    });
+
+    // Relation accessors
+    _.each(this.relations, function(relation, prop){
+        if (!(prop in self.fields) && !(prop in proto))
+            define(prop, function(){
+                return this.$load(prop);
+            });
+    });
+
+    return proto;
+};
+
 /** Process an entity before insertion to the database
  * @param {Object|Array.<Object>?} entity
  *      The entity to be saved (or an array of them)
@@ -361,6 +418,8 @@ Model.prototype.findOne = function(criteria, fields, sort, options){
         })
         // loadRelated
         .then(self._applyQueryWith_rel('load')) // -> entity
+        // loadRelatedCount
+        .then(self._applyQueryWith_count()) // -> entity
         // afterFindOne
         .then(function(entity){
             return self.hooks.afterFindOne(entity, ctx); // -> [ entity, ctx ]
@@ -385,7 +444,12 @@ Model.prototype.findOne = Model._whenConnected(Model.prototype.findOne);
  * @param {Number} [options.limit=0]
  *      Limit to this number of rows. 0 = no limit.
  *      Any non-number is converted to a number.
+ * @param {{ fields: String|Array.<String>, skip: Number?, limit: Number? }?} options.partition
+ *      Apply skip & limit to every partition: entities that have the same values of the partition fields.
+ *      The global skip & limit are applied afterwards.
+ *      Requires the driver support: @see {IMissyDriver#findPartitioned}
  * @returns {Q} promise for an array of entities
+ * @throws {MissyDriverError} when the driver does not support partitions (promised)
  * @throws {MissyDriverError} driver errors (promised)
  */
 Model.prototype.find = function(criteria, fields, sort, options){
@@ -402,6 +466,17 @@ Model.prototype.find = function(criteria, fields, sort, options){
     ctx.options.skip = Math.max( parseInt(ctx.options.skip) || 0, 0);
     ctx.options.limit = Math.max( parseInt(ctx.options.limit) || 0, 0);
 
+    // Partition
+    if (ctx.options.partition){
+        if (!_.isFunction(self.schema.driver.findPartitioned))
+            throw new errors.MissyDriverError(self.schema.driver, 'Partitioned find is not supported');
+        ctx.options.partition = {
+            fields: [].concat(ctx.options.partition.fields),
+            skip: Math.max( parseInt(ctx.options.partition.skip) || 0, 0),
+            limit: Math.max( parseInt(ctx.options.partition.limit) || 0, 0)
+        };
+    }
+
     return Q()
         // beforeFind
         .then(function(){
@@ -409,6 +484,8 @@ Model.prototype.find = function(criteria, fields, sort, options){
         })
         // find
         .then(function(){
+            if (ctx.options.partition)
+                return self.schema.driver.findPartitioned(self, ctx.options.partition, ctx.criteria, ctx.fields, ctx.sort, ctx.options); // -> entities
             return self.schema.driver.find(self, ctx.criteria, ctx.fields, ctx.sort, ctx.options); // -> entities
         })
         // entityImport
@@ -418,6 +495,8 @@ Model.prototype.find = function(criteria, fields, sort, options){
         })
         // loadRelated
         .then(self._applyQueryWith_rel('load')) // -> entities
+        // loadRelatedCount
+        .then(self._applyQueryWith_count()) // -> entities
         // afterFind
         .then(function(entities){
             ctx.entities = entities;
@@ -451,6 +530,286 @@ Model.prototype.count = function(criteria, options){
 };
 Model.prototype.count = Model._whenConnected(Model.prototype.count);
 
+/** Aggregate the matching entities: group them and compute accumulators over each group
+ * @param {Object|MissyCriteria?} criteria
+ *      Search criteria
+ * @param {Object|MissyAggregate?} pipeline
+ *      Aggregation specification: group, accumulators, sort, skip, limit. @see {MissyAggregate}
+ * @param {Object?} options
+ *      Driver-specific options
+ * @returns {Q} promise for an array of rows: { groupField: value, .., accumulator: value, .. }
+ * @throws {MissyModelError} on unknown accumulator (promised)
+ * @throws {MissyDriverError} when the driver does not support aggregation (promised)
+ * @throws {MissyDriverError} driver errors (promised)
+ */
+Model.prototype.aggregate = function(criteria, pipeline, options){
+    var self = this;
+
+    // Params
+    var ctx = {
+        model: this,
+        aggregate: new u.MissyAggregate(this, criteria, pipeline),
+        options: options || {}
+    };
+
+    // Supported?
+    if (!_.isFunction(self.schema.driver.aggregate))
+        throw new errors.MissyDriverError(self.schema.driver, 'Aggregation is not supported');
+
+    return Q()
+        // aggregate
+        .then(function(){
+            return self.schema.driver.aggregate(self, ctx.aggregate, ctx.options); // -> rows
+        })
+        // rowImport
+        .then(function(rows){
+            return _.map(rows, ctx.aggregate.rowImport, ctx.aggregate); // -> rows
+        });
+};
+Model.prototype.aggregate = Model._whenConnected(Model.prototype.aggregate);
+
+/** Get the distinct values of a field among the matching entities
+ * @param {String?} fieldName
+ *      The field to collect the values of. Can be a dot-notation path into a nested field.
+ *      When omitted, the single field given to pick() is used.
+ * @param {Object|MissyCriteria?} criteria
+ *      Search criteria
+ * @param {Object?} options
+ *      Driver-specific options
+ * @param {Number} [options.skip=0]
+ *      Skip this number of values. 0 = no skip.
+ * @param {Number} [options.limit=0]
+ *      Limit to this number of values. 0 = no limit.
+ * @returns {Q} promise for an array of values
+ * @throws {MissyModelError} when no field is given (promised)
+ * @throws {MissyDriverError} when the driver does not support distinct queries (promised)
+ * @throws {MissyDriverError} driver errors (promised)
+ */
+Model.prototype.distinct = function(fieldName, criteria, options){
+    var self = this;
+
+    // Params
+    var ctx = this._initContext({
+        criteria: criteria,
+        fields: undefined,
+        sort: undefined,
+        options: _.defaults(options || {}, { skip: 0, limit: 0 })
+    });
+    ctx.options.skip = Math.max( parseInt(ctx.options.skip) || 0, 0);
+    ctx.options.limit = Math.max( parseInt(ctx.options.limit) || 0, 0);
+
+    // Field: from pick()
+    if (_.isUndefined(fieldName) && ctx.fields.inclusionMode && _.size(ctx.fields.projection) === 1)
+        fieldName = _.keys(ctx.fields.projection)[0];
+    if (!_.isString(fieldName) || !fieldName)
+        throw new errors.MissyModelError(this, 'distinct() requires a field name');
+
+    // Supported?
+    if (!_.isFunction(self.schema.driver.distinct))
+        throw new errors.MissyDriverError(self.schema.driver, 'Distinct queries are not supported');
+
+    return Q()
+        // distinct
+        .then(function(){
+            return self.schema.driver.distinct(self, fieldName, ctx.criteria, ctx.sort, ctx.options); // -> values
+        })
+        // convert
+        .then(function(values){
+            return _.map(values, function(value){
+                return self.converter.convertValue(fieldName, 'load', value, true);
+            }); // -> values
+        });
+};
+Model.prototype.distinct = Model._whenConnected(Model.prototype.distinct);
+
+/** Stream the matching entities: fetch & import them in batches, without buffering the whole result set.
+ * Hooks: beforeFind is invoked once, afterFind is invoked for every batch.
+ * @param {Object|MissyCriteria?} criteria
+ *      Search criteria
+ * @param {String|Object|MissyProjection?} fields
+ *      Fields projection
+ * @param {String|Object|Array|MissySort?} sort
+ *      Sort specification
+ * @param {Object?} options
+ *      Driver-specific options.
+ * @param {Number} [options.skip=0]
+ *      Skip this number of rows. 0 = no skip.
+ * @param {Number} [options.limit=0]
+ *      Limit to this number of rows. 0 = no limit.
+ * @param {Number} [options.batchSize=100]
+ *      The number of entities to fetch at once
+ * @returns {MissyCursor} Readable stream of entities (object mode).
+ *      Invalid arguments are reported with the 'error' event, like the other errors.
+ */
+Model.prototype.stream = function(criteria, fields, sort, options){
+    var self = this;
+
+    // Params
+    var ctx, failure;
+    try {
+        ctx = this._initContext({
+            entities: undefined,
+            criteria: criteria,
+            fields: fields,
+            sort: sort,
+            options: _.defaults(options || {}, { skip: 0, limit: 0, batchSize: 100 })
+        });
+        ctx.options.skip = Math.max( parseInt(ctx.options.skip) || 0, 0);
+        ctx.options.limit = Math.max( parseInt(ctx.options.limit) || 0, 0);
+        ctx.options.batchSize = Math.max( parseInt(ctx.options.batchSize) || 0, 1);
+    } catch (e){
+        failure = e;
+    }
+
+    var opened; // promise for the driver cursor
+
+    return new u.MissyCursor(
+        // fetch
+        function(){
+            if (failure)
+                return Q.reject(failure);
+            if (!opened)
+                opened = self._openCursor(ctx);
+            return opened
+                // next
+                .then(function(cursor){
+                    return cursor.next(ctx.options.batchSize); // -> entities
+                })
+                .then(function(entities){
+                    if (_.isEmpty(entities))
+                        return [];
+                    return Q()
+                        // entityImport
+                        .then(function(){
+                            return self.entityImport(entities); // -> entities
+                        })
+                        // loadRelated
+                        .then(self._applyQueryWith_rel('load')) // -> entities
+                        .then(self._applyQueryWith_count()) // -> entities
+                        // afterFind
+                        .then(function(entities){
+                            ctx.entities = entities;
+                            return self.hooks.afterFind(ctx.entities, ctx); // -> [entities, ctx]
+                        })
+                        .get(0); // -> entities
+                });
+        },
+        // release
+        function(){
+            if (opened)
+                return opened.then(function(cursor){
+                    return cursor.close();
+                });
+        }
+    );
+};
+
+/** Open a driver cursor for Model.stream().
+ * Uses the driver cursor when available, and falls back to paging with find().
+ * @param {IModelContext} ctx
+ * @returns {Q} promise for an IMissyDriverCursor
+ * @protected
+ */
+Model.prototype._openCursor = function(ctx){
+    var self = this,
+        driver = self.schema.driver;
+
+    return Q()
+        // beforeFind
+        .then(function(){
+            return self.hooks.beforeFind(undefined, ctx); // -> [undefined, ctx]
+        })
+        // cursor
+        .then(function(){
+            if (_.isFunction(driver.cursor))
+                return driver.cursor(self, ctx.criteria, ctx.fields, ctx.sort, ctx.options); // -> cursor
+            return new u.PagedCursor(function(skip, limit){
+                return driver.find(self, ctx.criteria, ctx.fields, ctx.sort, _.extend({}, ctx.options, { skip: skip, limit: limit })); // -> entities
+            }, ctx.options.skip, ctx.options.limit);
+        });
+};
+Model.prototype._openCursor = Model._whenConnected(Model.prototype._openCursor);
+
+/** Keyset pagination: get a page of entities that follows (or precedes) a cursor token.
+ * Pages are ordered by the sort fields followed by the primary key, and the cursor token holds their values.
+ * Unlike skip(), this does not scan the skipped rows, and is stable when the data changes between pages.
+ * The sort fields should not contain `null` values.
+ * @param {Object?} page
+ *      Page specification
+ * @param {String?} page.after
+ *      Cursor token: get the page that follows it
+ * @param {String?} page.before
+ *      Cursor token: get the page that precedes it
+ * @param {Number?} [page.limit=10]
+ *      Page size. Defaults to the limit() given with chaining
+ * @param {Object|MissyCriteria?} criteria
+ *      Search criteria
+ * @param {String|Object|MissyProjection?} fields
+ *      Fields projection. It has to include the sort and primary key fields
+ * @param {String|Object|Array|MissySort?} sort
+ *      Sort specification
+ * @returns {Q} promise for { entities: Array.<Object>, nextCursor: String?, prevCursor: String?, hasMore: Boolean }
+ *      hasMore: whether there are more entities in the paging direction
+ * @throws {MissyModelError} invalid cursor token (promised)
+ * @throws {MissyModelError} when the projection drops the sort fields (promised)
+ * @throws {MissyDriverError} driver errors (promised)
+ */
+Model.prototype.paginate = function(page, criteria, fields, sort){
+    page = page || {};
+
+    // Params
+    var ctx = this._initContext({
+        criteria: criteria,
+        fields: fields,
+        sort: sort,
+        options: {}
+    });
+    var limit = Math.max( parseInt(page.limit || ctx.options.limit) || 10, 1),
+        keys = u.keyset.keys(this, ctx.sort),
+        backward = !!page.before,
+        token = backward? page.before : page.after;
+
+    if (!ctx.fields.includesFields(_.keys(keys)))
+        throw new errors.MissyModelError(this, 'Pagination requires the projection to include the fields: ' + _.keys(keys).join(','));
+
+    // Range criteria: the token holds raw values, so only the range is normalized
+    var order = backward? u.keyset.reverse(keys) : keys; // query order
+    criteria = ctx.criteria;
+    if (token){
+        var values = u.keyset.decode(keys, token);
+        if (!values)
+            throw new errors.MissyModelError(this, 'Invalid pagination cursor');
+        criteria = new u.MissyCriteria(this, criteria); // a copy
+        criteria.criteria = { $and: [ ctx.criteria.criteria, new u.MissyCriteria(this, u.keyset.criteria(order, values)).criteria ] };
+    }
+
+    // Find, keeping the chained relations only
+    var model = Object.create(this);
+    model._queryWith = _.pick(this._queryWith || {}, 'rel', 'count');
+
+    return model.find(criteria, ctx.fields, order, { limit: limit + 1 })
+        .then(function(entities){
+            var hasMore = entities.length > limit;
+            entities = entities.slice(0, limit);
+            if (backward)
+                entities.reverse();
+
+            // Cursors
+            var first = _.first(entities),
+                last = _.last(entities),
+                hasNext = backward? !!last : hasMore,
+                hasPrev = backward? hasMore : (!!token && !!first);
+
+            return {
+                entities: entities,
+                nextCursor: hasNext? u.keyset.encode(keys, last) : null,
+                prevCursor: hasPrev? u.keyset.encode(keys, first) : null,
+                hasMore: hasMore
+            };
+        });
+};
+Model.prototype.paginate = Model._whenConnected(Model.prototype.paginate);
+
 /** Insert a new entity.
  * When an array is given - an array is returned. On error, execution stops.
  * @param {Object|Array.<Object>} entities
@@ -486,13 +845,17 @@ Model.prototype.insert = function(entities, options){
             ctx.entities = entities;
             return self.hooks.beforeInsert(ctx.entities, ctx); // -> [entities, ctx]
         })
+        // saveRelated: parents
+        .then(function(){
+            return self._applyQueryWith_rel('save', true)(ctx.entities);
+        })
         // insert
         .then(function(){
             return self.schema.driver.insert(self, self._withoutRelated(ctx.entities), ctx.options);
         })
-        // saveRelated
+        // saveRelated: children
         .then(function(entities){
-            return self._applyQueryWith_rel('save')(ctx.entities)
+            return self._applyQueryWith_rel('save', false)(ctx.entities)
                 .thenResolve(entities);
         })
         // entityImport
@@ -548,13 +911,17 @@ Model.prototype.update = function(entities, options){
             ctx.entities = entities;
             return self.hooks.beforeUpdate(ctx.entities, ctx); // -> [entities, ctx]
         })
+        // saveRelated: parents
+        .then(function(){
+            return self._applyQueryWith_rel('save', true)(ctx.entities);
+        })
         // update
         .then(function(){
             return self.schema.driver.update(self, self._withoutRelated(ctx.entities), ctx.options); // -> entities
         })
-        // saveRelated
+        // saveRelated: children
         .then(function(entities){
-            return self._applyQueryWith_rel('save')(ctx.entities)
+            return self._applyQueryWith_rel('save', false)(ctx.entities)
                 .thenResolve(entities); // -> entities
         })
         // entityImport
@@ -608,13 +975,17 @@ Model.prototype.save = function(entities, options){
             ctx.entities = entities;
             return self.hooks.beforeSave(ctx.entities, ctx); // -> [entities, ctx]
         })
+        // saveRelated: parents
+        .then(function(){
+            return self._applyQueryWith_rel('save', true)(ctx.entities);
+        })
         // save
         .then(function(){
             return self.schema.driver.save(self, self._withoutRelated(ctx.entities), ctx.options); // -> entities
         })
-        // saveRelated
+        // saveRelated: children
         .then(function(entities){
-            return self._applyQueryWith_rel('save')(ctx.entities)
+            return self._applyQueryWith_rel('save', false)(ctx.entities)
                 .thenResolve(entities); // -> entities
         })
         // entityImport
@@ -673,9 +1044,11 @@ Model.prototype.remove = function(entities, options){
             ctx.entities = entities;
             return self.hooks.beforeRemove(ctx.entities, ctx); // -> [entities, ctx]
         })
-        // removeRelated
+        // removeRelated, onRemove
         .get(0)
-        .then(self._applyQueryWith_rel('remove')) // -> entities
+        .then(function(entities){
+            return self._applyOnRemove(entities, self._applyQueryWith_rel('remove')); // -> entities
+        })
         // remove
         .then(function(){
             return self.schema.driver.remove(self, ctx.entities, ctx.options); // -> entities
@@ -778,6 +1151,15 @@ Model.prototype.removeQuery = function(criteria, options){
         .then(function(){
             return self.hooks.beforeRemoveQuery(ctx.entities, ctx); // -> [undefined, ctx]
         })
+        // onRemove
+        .then(function(){
+            if (!self._onRemoveRelations().length)
+                return;
+            return self._plain().find(ctx.criteria, undefined, undefined, { limit: ctx.options.multi? 0 : 1 })
+                .then(function(entities){
+                    return self._applyOnRemove(entities);
+                });
+        })
         // removeQuery
         .then(function(){
             return self.schema.driver.removeQuery(self, ctx.criteria, ctx.options); // -> entities
@@ -811,6 +1193,7 @@ Model.prototype.removeQuery = Model._whenConnected(Model.prototype.removeQuery);
  */
 Model.prototype.addRelation = function(rel){
     this.relations[rel.prop] = rel;
+    this._entityPrototype = this._makeEntityPrototype();
     return rel;
 };
 
@@ -820,12 +1203,13 @@ Model.prototype.addRelation = function(rel){
  * @param {String} prop
  * @param {Model} foreign
  * @param {String|Array.<String>|Object} fields
+ * @param {Object?} options
  *
  * @returns {hasOne}
  */
-Model.prototype.hasOne = function(prop, foreign, fields){
+Model.prototype.hasOne = function(prop, foreign, fields, options){
     return this.addRelation(
-        new relations.hasOne(this, prop, foreign, fields)
+        new relations.hasOne(this, prop, foreign, fields, options)
     );
 };
 
@@ -835,20 +1219,81 @@ Model.prototype.hasOne = function(prop, foreign, fields){
  * @param {String} prop
  * @param {Model} foreign
  * @param {String|Array.<String>|Object} fields
+ * @param {Object?} options
  *
  * @returns {hasMany}
  */
-Model.prototype.hasMany = function(prop, foreign, fields){
+Model.prototype.hasMany = function(prop, foreign, fields, options){
     return this.addRelation(
-        new relations.hasMany(this, prop, foreign, fields)
+        new relations.hasMany(this, prop, foreign, fields, options)
     );
 };
 
-//Model.prototype.hasManyThrough = function(prop, foreign, fields){
-//    return this.addRelation(
-//        new relations.hasManyThrough(this, prop, foreign, fields)
-//    );
-//};
+/** Define a belongsTo relation to another model. Helper.
+ * @see {relations.belongsTo}
+ *
+ * @param {String} prop
+ * @param {Model} foreign
+ * @param {String|Array.<String>|Object} fields
+ * @param {Object?} options
+ *
+ * @returns {belongsTo}
+ */
+Model.prototype.belongsTo = function(prop, foreign, fields, options){
+    return this.addRelation(
+        new relations.belongsTo(this, prop, foreign, fields, options)
+    );
+};
+
+/** Define a hasManyThrough relation to another model. Helper.
+ * @see {relations.hasManyThrough}
+ *
+ * @param {String} prop
+ * @param {Model} foreign
+ * @param {Model} through
+ * @param {String|Array.<String>|Object} localFields
+ * @param {String|Array.<String>|Object} foreignFields
+ *
+ * @returns {hasManyThrough}
+ */
+Model.prototype.hasManyThrough = function(prop, foreign, through, localFields, foreignFields){
+    return this.addRelation(
+        new relations.hasManyThrough(this, prop, foreign, through, localFields, foreignFields)
+    );
+};
+
+/** Define a polymorphic belongsTo relation to a model named in the type field. Helper.
+ * @see {relations.morphTo}
+ *
+ * @param {String} prop
+ * @param {String} typeField
+ * @param {String|Array.<String>|Object} fields
+ *
+ * @returns {morphTo}
+ */
+Model.prototype.morphTo = function(prop, typeField, fields){
+    return this.addRelation(
+        new relations.morphTo(this, prop, typeField, fields)
+    );
+};
+
+/** Define a polymorphic hasMany relation to another model. Helper.
+ * @see {relations.morphMany}
+ *
+ * @param {String} prop
+ * @param {Model} foreign
+ * @param {String} typeField
+ * @param {String|Array.<String>|Object} fields
+ * @param {String?} type
+ * @param {Object?} options
+ *
+ * @returns {morphMany}
+ */
+Model.prototype.morphMany = function(prop, foreign, typeField, fields, type, options){
+    return this.addRelation(
+        new relations.morphMany(this, prop, foreign, typeField, fields, type, options)
+    );
+};
 
 /** Follow the deep '.'-notation related specification
  * @param {Array.<Object>} entities
@@ -857,7 +1302,7 @@ Model.prototype.hasMany = function(prop, foreign, fields){
  *      model: The model the relation is defined on
  *      relation: The relation to be processed
  *      rows: all entities on the named relation level (merged array of entities)
- * @throws {MissyModelError} Undefined relation
+ * @throws {MissyModelError} Undefined relation, or a polymorphic relation in the middle of the path
  * @protected
  */
 Model.prototype._getDeepRelation = function(entities, prop){
@@ -877,6 +1322,8 @@ Model.prototype._getDeepRelation = function(entities, prop){
         relation = model.relations[p];
         if (level == (propsPath.length - 1))
             return;
+        if (_.isUndefined(relation.foreign))
+            throw new errors.MissyModelError(model, 'Cannot follow a polymorphic relation: ' + prop + ' (stopped at '+p+')');
         model = relation.foreign;
 
         // Collect entities
@@ -911,7 +1358,7 @@ Model.prototype._getDeepRelation = function(entities, prop){
  * @see {Model#removeRelated}
  *
  * @param {String} act
- *      The action to perform: 'load', 'save', 'remove'
+ *      The action to perform: 'load', 'save', 'remove', 'count'
  * @param {Object|Array.<Object>} entities
  *      Entities to act on (or an array of them)
  * @param {String|Array|undefined} prop
@@ -945,6 +1392,8 @@ Model.prototype.doRelated = function(act, entities, prop){
 
     // Single relation
     var rel = this._getDeepRelation([].concat(entities), prop);
+    if (!_.isFunction(rel.relation[act + 'Related']))
+        throw new errors.MissyRelationError(rel.relation, 'The relation does not support ' + act + 'Related()');
 
     return rel.relation[act + 'Related'].apply( rel.relation,
             [rel.rows].concat(args)
@@ -965,11 +1414,20 @@ Model.prototype.doRelated = Model._whenConnected(Model.prototype.doRelated);
  * @param {String|Object|Array|MissySort?} sort
  *      Related find() sort
  * @param {Object?} options
- *      Related find() options
+ *      Related find() options, and:
+ * @param {Number?} options.perParentSkip
+ *      Skip the first N related entities of every entity
+ * @param {Number?} options.perParentLimit
+ *      Limit the number of related entities for every entity
+ * @param {Number?} options.depth
+ *      Self-referencing relations: the number of tree levels to load
+ * @param {Boolean?} options.recursive
+ *      Self-referencing relations: load the whole tree
  *
  * @returns {Q} promise for an entity (or an array of them)
  * @throws {MissyModelError} on undefined relation (promised)
  * @throws {MissyRelationError} when the projection drops foreign keys (promised)
+ * @throws {MissyRelationError} on cycles in recursive loading (promised)
  * @throws {MissyDriverError} driver errors (promised)
  */
 Model.prototype.loadRelated = function(entities, prop, fields, sort, options){
@@ -1009,8 +1467,143 @@ Model.prototype.saveRelated = function(entities, prop, options){
  * @throws {MissyDriverError} driver errors (promised)
  */
 Model.prototype.removeRelated = function(entities, prop, options){
-    return this.removeRelated('save', entities, prop, options);
+    return this.doRelated('remove', entities, prop, options);
+};
+
+/** Count related entities, and assign the numbers to the entities
+ *
+ * @see {IMissyRelation#countRelated}
+ *
+ * @param {Object|Array.<Object>} entities
+ * @param {String|Array|undefined} prop
+ * @param {Object?} criteria
+ *      Additional criteria for the related entities
+ * @param {Object?} options
+ *      Related aggregate() or count() options, and:
+ * @param {String?} options.property
+ *      The property to assign the numbers to. Default: the relation name + 'Count'
+ *
+ * @returns {Q} promise for an entity (or an array of them)
+ * @throws {MissyModelError} on undefined relation (promised)
+ * @throws {MissyRelationError} when the relation does not support counting (promised)
+ * @throws {MissyDriverError} driver errors (promised)
+ */
+Model.prototype.loadRelatedCount = function(entities, prop, criteria, options){
+    return this.doRelated('count', entities, prop, criteria, options);
+};
+
+/** Get a relation that supports trees
+ * @param {String} prop
+ * @returns {IMissyRelation}
+ * @throws {MissyModelError} on undefined relation
+ * @throws {MissyRelationError} when the relation does not support trees
+ * @protected
+ */
+Model.prototype._getTreeRelation = function(prop){
+    var relation = this.relations[prop];
+    if (!relation)
+        throw new errors.MissyModelError(this, 'Undefined relation: ' + prop);
+    if (!_.isFunction(relation.loadAncestors))
+        throw new errors.MissyRelationError(relation, 'The relation does not support trees');
+    return relation;
+};
+
+/** Load the ancestors of an entity in a tree: parent, grandparent, and so on up to the root.
+ * The tree is defined with a self-referencing relation to the children: e.g. `hasMany('children', Category, { id: 'parent_id' })`.
+ *
+ * @param {Object} entity
+ *      The entity. Should have the foreign fields (e.g. `parent_id`)
+ * @param {String} prop
+ *      The children relation name
+ * @param {Object?} options
+ *      Driver-specific options for findOne()
+ *
+ * @returns {Q} promise for an array of ancestors, the parent first
+ * @throws {MissyModelError} on undefined relation (promised)
+ * @throws {MissyRelationError} when the relation is not a self-referencing hasOne or hasMany (promised)
+ * @throws {MissyRelationError} on cycles (promised)
+ * @throws {MissyDriverError} driver errors (promised)
+ */
+Model.prototype.loadAncestors = function(entity, prop, options){
+    return this._getTreeRelation(prop).loadAncestors(entity, options);
+};
+Model.prototype.loadAncestors = Model._whenConnected(Model.prototype.loadAncestors);
+
+/** Load the descendants of an entity in a tree: children, grandchildren, and so on.
+ * The tree is defined with a self-referencing relation to the children: e.g. `hasMany('children', Category, { id: 'parent_id' })`.
+ *
+ * @param {Object} entity
+ *      The entity
+ * @param {String} prop
+ *      The children relation name
+ * @param {String|Object|MissyProjection?} fields
+ *      Related find() fields projection
+ * @param {String|Object|Array|MissySort?} sort
+ *      Related find() sort
+ * @param {Object?} options
+ *      Related find() options, and:
+ * @param {Number?} options.depth
+ *      The number of levels to load. Default: all of them
+ *
+ * @returns {Q} promise for an array of descendants, breadth-first. They also have their children loaded.
+ * @throws {MissyModelError} on undefined relation (promised)
+ * @throws {MissyRelationError} when the relation is not a self-referencing hasOne or hasMany (promised)
+ * @throws {MissyRelationError} on cycles (promised)
+ * @throws {MissyDriverError} driver errors (promised)
+ */
+Model.prototype.loadDescendants = function(entity, prop, fields, sort, options){
+    return this._getTreeRelation(prop).loadDescendants(entity, fields, sort, options);
 };
+Model.prototype.loadDescendants = Model._whenConnected(Model.prototype.loadDescendants);
+
+/** Check the referential integrity of the relations: find the orphans, i.e. entities whose foreign keys reference missing entities.
+ * Depending on the relation, these are the entities of the current model (belongsTo, morphTo),
+ * the foreign entities (hasOne, hasMany, morphMany), or the links (hasManyThrough).
+ *
+ * @param {String|Array.<String>|undefined} prop
+ *      The relation name to check, or multiple relation names as an array. `undefined` to check all the relations.
+ * @param {Object?} options
+ *      Options for the check
+ * @param {String?} options.fix
+ *      How to fix the orphans: 'nullify' sets their foreign keys to `null`, 'delete' removes them
+ * @param {Number} [options.batchSize=1000]
+ *      The number of entities to check with a query
+ *
+ * @returns {Q} promise for an array of reports, one per checked model:
+ *      { relation: 'User.posts', model: 'Post', fields: ['uid'], checked: 10, orphans: [ { id: 1, uid: 3 } ], fixed: 0 }
+ * @throws {MissyModelError} on undefined relation (promised)
+ * @throws {MissyModelError} on unsupported fix (promised)
+ * @throws {MissyRelationError} when the relation does not support checks (promised)
+ * @throws {MissyDriverError} driver errors (promised)
+ */
+Model.prototype.checkIntegrity = function(prop, options){
+    var self = this;
+    options = options || {};
+
+    if (options.fix && !_.contains(['nullify', 'delete'], options.fix))
+        throw new errors.MissyModelError(this, 'Unsupported integrity fix: ' + options.fix);
+
+    // Relations
+    var relations = _.map(_.isUndefined(prop)? _.keys(self.relations) : [].concat(prop), function(prop){
+        var relation = self.relations[prop];
+        if (!relation)
+            throw new errors.MissyModelError(self, 'Undefined relation: ' + prop);
+        if (!_.isFunction(relation.checkIntegrity))
+            throw new errors.MissyRelationError(relation, 'The relation does not support checkIntegrity()');
+        return relation;
+    });
+
+    // Check them one by one
+    return _.map(relations, function(relation){
+        return function(reports){
+            return relation.checkIntegrity(options)
+                .then(function(relationReports){
+                    return reports.concat(relationReports);
+                });
+        };
+    }).reduce(Q.when, Q([]));
+};
+Model.prototype.checkIntegrity = Model._whenConnected(Model.prototype.checkIntegrity);
 
 /** Automatically process the related entities with the next query.
  * - find(), findOne(): load related entities
@@ -1040,13 +1633,61 @@ Model.prototype.withRelated = function(prop){
     return model;
 };
 
+/** Automatically count the related entities with the next find(), findOne() or stream().
+ * In fact, this method just stashes the arguments for loadRelatedCount()
+ *
+ * @see {Model#loadRelatedCount}
+ *
+ * @param {String} prop
+ * @param {Object?} criteria
+ * @param {Object?} options
+ *
+ * @returns {Model}
+ */
+Model.prototype.withCount = function(prop, criteria, options){
+    var model = this._initQueryWith();
+
+    // Init the property
+    if (!model._queryWith.count)
+        model._queryWith.count = [];
+
+    // Stash arguments
+    model._queryWith.count.push( _.toArray(arguments) ); // push arguments
+
+    return model;
+};
+
+/** Process relation counting assigned by Model.withCount()
+ * @returns {function(Object|Array.<Object>):Q} -> entity | entities
+ * @protected
+ */
+Model.prototype._applyQueryWith_count = function(){
+    var self = this;
+    return function(entities){
+        // Do nothing when there's nothing to do :)
+        if (!self._queryWith || !self._queryWith.count || _.isEmpty(entities))
+            return Q.fulfill(entities);
+
+        // Call every function with the stashed arguments
+        return _.map(self._queryWith.count, function(args){
+            return function(){
+                return self.doRelated.apply(self, ['count', entities].concat(args));
+            };
+        }).reduce(Q.when, Q(1))
+            .thenResolve(entities); // -> entities
+    };
+};
+
 /** Process relation handling methods assigned by Model.withRelated()
  * @param {String} act
  *      Relation processing method to invoke: load, save, remove
+ * @param {Boolean?} savedBefore
+ *      Only process the relations that are saved before (true) or after (false) the entities.
+ *      `undefined` to process all of them.
  * @returns {function(Object|Array.<Object>):Q} -> entity | entities
  * @protected
  */
-Model.prototype._applyQueryWith_rel = function(act){
+Model.prototype._applyQueryWith_rel = function(act, savedBefore){
     var self = this;
     return function(entities){
         // Do nothing when there's nothing to do :)
@@ -1056,6 +1697,13 @@ Model.prototype._applyQueryWith_rel = function(act){
         // Call every function with the stashed arguments
         return _.map(self._queryWith.rel, function(args){
             return function(){
+                // Filter the relations by the saving order
+                if (!_.isUndefined(savedBefore)){
+                    var props = _.isUndefined(args[0])? _.keys(self.relations) : [].concat(args[0]);
+                    args = [_.filter(props, function(prop){
+                        return !!self._getDeepRelation([], prop).relation.savedBefore === savedBefore;
+                    })].concat(args.slice(1));
+                }
                 return self.doRelated.apply(self, [act, entities].concat(args));
             };
         }).reduce(Q.when, Q(1))
@@ -1063,6 +1711,92 @@ Model.prototype._applyQueryWith_rel = function(act){
     };
 };
 
+/** Get the relations that have an `onRemove` behavior to apply
+ * @returns {Array.<IMissyRelation>}
+ * @protected
+ */
+Model.prototype._onRemoveRelations = function(){
+    return _.filter(this.relations, function(relation){
+        return relation.onRemove && relation.onRemove !== 'ignore';
+    });
+};
+
+/** Apply the `onRemove` behavior of the relations to the entities being removed:
+ * 'restrict' checks go first, then the `removeRelated` function, then 'cascade' & 'nullify'.
+ * Entities that miss the relation fields are loaded by the primary key.
+ * @param {Array.<Object>} entities
+ *      The entities being removed
+ * @param {function(Array.<Object>):Q?} removeRelated
+ *      Remove the related entities requested with withRelated()
+ * @returns {Q} -> entities
+ * @throws {MissyRelationError} when a 'restrict' relation has related entities (promised)
+ * @protected
+ */
+Model.prototype._applyOnRemove = function(entities, removeRelated){
+    var self = this,
+        relations = this._onRemoveRelations();
+    removeRelated = removeRelated || Q.fulfill;
+
+    if (!relations.length || _.isEmpty(entities))
+        return removeRelated(entities);
+
+    var fieldNames = _.uniq(_.flatten(_.map(relations, function(relation){
+        return _.keys(relation.fields);
+    })));
+
+    return Q()
+        // Load the missing relation fields
+        .then(function(){
+            var complete = _.all(entities, function(entity){
+                return _.all(fieldNames, function(fieldName){
+                    return !_.isUndefined(entity[fieldName]);
+                });
+            });
+            if (complete)
+                return entities;
+            return self._plain().find({
+                $or: _.map(entities, function(entity){
+                    return _.pick(entity, self.options.pk);
+                })
+            });
+        })
+        .then(function(hosts){
+            return Q()
+                // restrict
+                .then(function(){
+                    return Q.all(_.map(_.where(relations, { onRemove: 'restrict' }), function(relation){
+                        return relation.restrictRelated(hosts);
+                    }));
+                })
+                // removeRelated
+                .then(function(){
+                    return removeRelated(entities);
+                })
+                // cascade, nullify
+                .then(function(){
+                    return _.map(relations, function(relation){
+                        return function(){
+                            switch (relation.onRemove){
+                                case 'cascade': return relation.removeRelated(hosts);
+                                case 'nullify': return relation.nullifyRelated(hosts);
+                            }
+                        };
+                    }).reduce(Q.when, Q(1));
+                });
+        })
+        .thenResolve(entities);
+};
+
+/** Get a copy of the model without the chained query modifiers
+ * @returns {Model}
+ * @protected
+ */
+Model.prototype._plain = function(){
+    var model = Object.create(this);
+    model._queryWith = undefined;
+    return model;
+};
+
 /** Copy entities and remove relation properties
  * This prevents them from being saved to DB along with the entities
  * @param {Object|Array.<Object>} entities
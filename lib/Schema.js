@@ -168,6 +168,23 @@ Schema.prototype.disconnect = function(){
         .thenResolve();
 };
 
+/** Check the referential integrity of all the relations of all the models.
+ * @see {Model#checkIntegrity}
+ * @param {Object?} options
+ *      Options for the check: `fix`, `batchSize`
+ * @returns {Q} promise for an array of reports
+ */
+Schema.prototype.checkIntegrity = function(options){
+    return _.map(this.models, function(model){
+        return function(reports){
+            return model.checkIntegrity(undefined, options)
+                .then(function(modelReports){
+                    return reports.concat(modelReports);
+                });
+        };
+    }).reduce(Q.when, Q([]));
+};
+
 /** Get the DB client
  * @returns {*}
  * @throws {MissyDriverError} not connected
@@ -0,0 +1,483 @@
+'use strict';
+
+var _ = require('lodash'),
+    errors = require('../errors'),
+    Q = require('q'),
+    fs = require('fs'),
+    crypto = require('crypto'),
+    path = require('path'),
+    util = require('util'),
+    MemoryDriver = require('./memory').MemoryDriver
+    ;
+
+/** File driver for Missy: MemoryDriver that persists every table to a file in a directory.
+ * Is designed for CLI tools and small embedded deployments.
+ *
+ * The tables are loaded on connect(), and every write saves the modified table before its promise resolves.
+ * Every file is written atomically: to a temporary file, which then replaces the table file.
+ * Dates are stored as `{ $date: '<ISO string>' }` objects.
+ *
+ * With the `log` option, every write is appended to the write-ahead log instead: the table files become snapshots,
+ * and the log is replayed on top of them on connect(). A log record holds the resulting rows identified by the primary key,
+ * so replaying a record twice is harmless. Rows without a primary key are not logged reliably.
+ * flush() writes a snapshot and truncates the log: this happens automatically after `snapshotEvery` records.
+ *
+ * @param {String} url
+ *      The directory to store the tables in: 'file:/var/lib/app', or just a path
+ * @param {Object?} options
+ *      Driver options. Also accepts MemoryDriver options.
+ * @param {String} [options.format='ndjson']
+ *      File format: 'ndjson' (an entity per line), or 'json' (an array of entities)
+ * @param {Boolean} [options.log=false]
+ *      Append every write to the write-ahead log instead of saving the whole table
+ * @param {Number} [options.snapshotEvery=1000]
+ *      The number of log records that triggers a snapshot
+ *
+ * @constructor
+ * @implements {IMissyDriver}
+ * @extends {MemoryDriver}
+ */
+var FileDriver = exports.FileDriver = function(url, options){
+    options = _.defaults(options || {}, {
+        format: 'ndjson',
+        log: false,
+        snapshotEvery: 1000
+    });
+
+    MemoryDriver.call(this, undefined, options);
+
+    this.dir = path.resolve(String(url || '').replace(/^file:(\/\/)?/, ''));
+    this._dirty = {}; // modified tables
+    this._changes = undefined; // row changes of the current write: { key: row|null }
+    this._queue = Q(); // file operations, in order
+    this._logFd = undefined;
+    this._logRecords = 0;
+
+    if (!_.contains(['ndjson', 'json'], options.format))
+        throw new errors.MissyDriverError(this, 'Unsupported file format: ' + options.format);
+};
+util.inherits(FileDriver, MemoryDriver);
+
+FileDriver.prototype.toString = function(){
+    return 'file:' + this.dir;
+};
+
+//region Files
+
+/** Get the file name of a table
+ * @param {String} table
+ * @returns {String}
+ * @protected
+ */
+FileDriver.prototype.tableFile = function(table){
+    return path.join(this.dir, encodeURIComponent(table) + '.' + this.options.format);
+};
+
+/** JSON replacer that preserves dates
+ * @param {String} key
+ * @param {*} value
+ * @returns {*}
+ */
+var replacer = function(key, value){
+    return (this[key] instanceof Date)? { $date: value } : value;
+};
+
+/** JSON reviver that restores dates
+ * @param {String} key
+ * @param {*} value
+ * @returns {*}
+ */
+var reviver = function(key, value){
+    return (_.isPlainObject(value) && _.size(value) === 1 && _.isString(value.$date))? new Date(value.$date) : value;
+};
+
+/** Serialize the table rows
+ * @param {Array.<Object>} rows
+ * @returns {String}
+ * @protected
+ */
+FileDriver.prototype._serialize = function(rows){
+    if (this.options.format === 'json')
+        return JSON.stringify(rows, replacer);
+    return _.map(rows, function(entity){
+        return JSON.stringify(entity, replacer) + '\n';
+    }).join('');
+};
+
+/** Parse the table rows
+ * @param {String} data
+ * @returns {Array.<Object>}
+ * @throws {SyntaxError} on malformed data
+ * @protected
+ */
+FileDriver.prototype._parse = function(data){
+    if (this.options.format === 'json')
+        return JSON.parse(data, reviver);
+    return _.map(_.compact(data.split('\n')), function(line){
+        return JSON.parse(line, reviver);
+    });
+};
+
+/** Write a file atomically: write a temporary file, sync it, and rename it over the target
+ * @param {String} fileName
+ * @param {String} data
+ * @returns {Q} promise
+ * @protected
+ */
+FileDriver.prototype._writeFile = function(fileName, data){
+    var tmpFileName = fileName + '.tmp',
+        fd;
+    return Q.nfcall(fs.open, tmpFileName, 'w')
+        .then(function(f){
+            fd = f;
+            return Q.nfcall(fs.writeFile, fd, data);
+        })
+        .then(function(){
+            return Q.nfcall(fs.fsync, fd);
+        })
+        .finally(function(){
+            if (fd !== undefined)
+                return Q.nfcall(fs.close, fd);
+        })
+        .then(function(){
+            return Q.nfcall(fs.rename, tmpFileName, fileName);
+        });
+};
+
+/** Get the log file name
+ * @returns {String}
+ * @protected
+ */
+FileDriver.prototype.logFile = function(){
+    return path.join(this.dir, 'wal.log');
+};
+
+/** Get the row key: the primary key values. Rows without a primary key get a unique key.
+ * @param {Array.<String>} pk
+ * @param {Object} row
+ * @returns {String}
+ */
+var rowKey = function(pk, row){
+    var values = _.map(pk, function(fieldName){
+        return row[fieldName];
+    });
+    if (_.any(values, function(value){ return _.isUndefined(value) || _.isNull(value); }))
+        return _.uniqueId('~');
+    return JSON.stringify(values, replacer);
+};
+
+/** Get the checksum of a log record
+ * @param {String} json
+ * @returns {String}
+ */
+var checksum = function(json){
+    return crypto.createHash('md5').update(json).digest('hex').substr(0, 8);
+};
+
+/** Parse a log record line
+ * @param {String} line
+ * @returns {Object|undefined} The record, or `undefined` when it's invalid
+ */
+var parseRecord = function(line){
+    var m = /^([0-9a-f]{8}) (.*)$/.exec(line);
+    if (!m || checksum(m[2]) !== m[1])
+        return undefined;
+    try { return JSON.parse(m[2], reviver); }
+    catch(e){ return undefined; }
+};
+
+/** Run a file operation after the previous ones
+ * @param {function():Q} operation
+ * @returns {Q}
+ * @protected
+ */
+FileDriver.prototype._enqueue = function(operation){
+    var promise = this._queue.then(operation);
+    this._queue = promise.catch(_.noop);
+    return promise;
+};
+
+/** Replay the log on top of the loaded tables, and open it for appending.
+ * The log is truncated at the last valid record: the rest is what a crash has left.
+ * @returns {Q} promise
+ * @protected
+ */
+FileDriver.prototype._replay = function(){
+    var self = this,
+        logFile = self.logFile();
+
+    return Q.nfcall(fs.readFile, logFile)
+        .catch(function(e){
+            if (e.code !== 'ENOENT')
+                throw e;
+            return Buffer.alloc(0);
+        })
+        .then(function(data){
+            // Tables as ordered maps: { key: row }
+            var tables = {};
+            var tableRows = function(table, pk){
+                if (!(table in tables))
+                    tables[table] = _.transform(self._storage[table] || [], function(rows, row){
+                        rows[rowKey(pk, row)] = row;
+                    }, {});
+                return tables[table];
+            };
+
+            // Replay the valid records
+            var offset = 0, end, record;
+            self._logRecords = 0;
+            while ((end = data.indexOf(10, offset)) !== -1){ // '\n'
+                record = parseRecord(data.toString('utf8', offset, end));
+                if (!record)
+                    break;
+
+                var rows = tableRows(record.table, record.pk);
+                _.each(record.unset, function(key){
+                    delete rows[key];
+                });
+                _.each(record.set, function(row){
+                    rows[rowKey(record.pk, row)] = row;
+                });
+
+                offset = end + 1;
+                self._logRecords++;
+            }
+
+            _.each(tables, function(rows, table){
+                self._storage[table] = _.values(rows);
+                self._dirty[table] = true; // for the next snapshot
+            });
+
+            // Truncate the invalid tail
+            if (offset < data.length)
+                return Q.nfcall(fs.truncate, logFile, offset);
+        })
+        .then(function(){
+            return Q.nfcall(fs.open, logFile, 'a');
+        })
+        .then(function(fd){
+            self._logFd = fd;
+        });
+};
+
+/** Append the changes of a write to the log, and sync it to the disk.
+ * Makes a snapshot when the log is large enough: a failed snapshot is retried with the next one, since the log has the changes.
+ * @param {String} op
+ *      The write method name
+ * @param {Model} model
+ * @param {Object.<String, Object|null>} changes
+ *      Changed rows by key. `null` for removed rows.
+ * @returns {Q} promise
+ * @protected
+ */
+FileDriver.prototype._log = function(op, model, changes){
+    var self = this;
+    if (self._logFd === undefined || _.isEmpty(changes))
+        return Q.fulfill();
+
+    // Serialize now: the rows can change later
+    var json = JSON.stringify({
+        op: op,
+        table: model.options.table,
+        pk: model.options.pk,
+        set: _.compact(_.values(changes)),
+        unset: _.filter(_.keys(changes), function(key){
+            return _.isNull(changes[key]) && key[0] !== '~';
+        })
+    }, replacer);
+    var line = checksum(json) + ' ' + json + '\n';
+
+    return self._enqueue(function(){
+        return Q.nfcall(fs.appendFile, self._logFd, line)
+            .then(function(){
+                return Q.nfcall(fs.fdatasync, self._logFd);
+            })
+            .then(function(){
+                if (++self._logRecords >= self.options.snapshotEvery)
+                    return self._flush().catch(_.noop);
+            });
+    });
+};
+
+/** Load all the tables from the directory. Creates the directory when missing.
+ * @returns {Q} promise
+ * @throws {MissyDriverError} on malformed files (promised)
+ * @protected
+ */
+FileDriver.prototype._load = function(){
+    var self = this,
+        ext = '.' + self.options.format;
+
+    return Q.nfcall(fs.mkdir, self.dir, { recursive: true })
+        .then(function(){
+            return Q.nfcall(fs.readdir, self.dir);
+        })
+        .then(function(fileNames){
+            var storage = {};
+            return Q.all(_.map(
+                _.filter(fileNames, function(fileName){
+                    return path.extname(fileName) === ext;
+                }),
+                function(fileName){
+                    var table = decodeURIComponent(path.basename(fileName, ext));
+                    return Q.nfcall(fs.readFile, path.join(self.dir, fileName), 'utf8')
+                        .then(function(data){
+                            try { storage[table] = self._parse(data); }
+                            catch(e){ throw new errors.MissyDriverError(self, 'Failed to load table `' + table + '`: ' + e.message); }
+                        });
+                }
+            )).then(function(){
+                self._storage = storage;
+                self._indexes = {};
+                self._dirty = {};
+            });
+        });
+};
+
+/** Persist the changes of a write: append them to the log, or save the modified table
+ * @param {String} op
+ *      The write method name
+ * @param {Model} model
+ * @param {Object.<String, Object|null>} changes
+ *      Changed rows by key. `null` for removed rows.
+ * @returns {Q} promise
+ * @protected
+ */
+FileDriver.prototype._persist = function(op, model, changes){
+    if (_.isEmpty(changes))
+        return Q.fulfill();
+    this._dirty[model.options.table] = true;
+    return this.options.log
+        ? this._log(op, model, changes)
+        : this.flush();
+};
+
+/** Write the modified tables to the files.
+ * With the log, this makes a snapshot: the log is truncated.
+ * @returns {Q} promise
+ */
+FileDriver.prototype.flush = function(){
+    var self = this;
+    return self._enqueue(function(){
+        return self._flush();
+    });
+};
+
+/** Write the modified tables to the files, and truncate the log
+ * @returns {Q} promise
+ * @protected
+ */
+FileDriver.prototype._flush = function(){
+    var self = this,
+        tables = _.keys(self._dirty);
+    self._dirty = {};
+
+    return _.map(tables, function(table){
+        return function(){
+            return self._writeFile(self.tableFile(table), self._serialize(self._storage[table] || []))
+                .catch(function(e){
+                    self._dirty[table] = true; // retry with the next flush
+                    throw e;
+                });
+        };
+    }).reduce(Q.when, Q())
+        .then(function(){
+            if (self._logFd === undefined)
+                return;
+            return Q.nfcall(fs.ftruncate, self._logFd, 0)
+                .then(function(){
+                    self._logRecords = 0;
+                });
+        });
+};
+
+/** Close the log
+ * @returns {Q} promise
+ * @protected
+ */
+FileDriver.prototype._closeLog = function(){
+    var fd = this._logFd;
+    this._logFd = undefined;
+    return (fd === undefined)? Q.fulfill() : Q.nfcall(fs.close, fd);
+};
+
+//endregion
+
+FileDriver.prototype.connect = function(){
+    var self = this;
+    return self._closeLog()
+        .then(function(){
+            return self._load();
+        })
+        .then(function(){
+            if (self.options.log)
+                return self._replay();
+        })
+        .then(function(){
+            return MemoryDriver.prototype.connect.call(self);
+        });
+};
+
+FileDriver.prototype.disconnect = function(){
+    var self = this;
+    return self.flush()
+        .then(function(){
+            return self._closeLog();
+        })
+        .then(function(){
+            return MemoryDriver.prototype.disconnect.call(self);
+        });
+};
+
+//region Queries
+
+FileDriver.prototype.getIndexes = function(model){
+    var changes = this._changes;
+    this._changes = undefined; // indexing the existing rows is not a change
+    try {
+        return MemoryDriver.prototype.getIndexes.apply(this, arguments);
+    } finally {
+        this._changes = changes;
+    }
+};
+
+// Collect the row changes
+FileDriver.prototype._indexRow = function(model, entity){
+    MemoryDriver.prototype._indexRow.apply(this, arguments);
+    if (this._changes)
+        this._changes[rowKey(model.options.pk, entity)] = entity;
+};
+
+FileDriver.prototype._unindexRow = function(model, entity){
+    MemoryDriver.prototype._unindexRow.apply(this, arguments);
+    if (this._changes)
+        this._changes[rowKey(model.options.pk, entity)] = null;
+};
+
+// Writes are persisted before they resolve.
+// Nested writes (e.g. save() -> insert()) are a part of the outer one.
+_.each(['insert', 'update', 'save', 'remove', 'updateQuery', 'removeQuery'], function(method){
+    FileDriver.prototype[method] = function(model){
+        if (this._changes)
+            return MemoryDriver.prototype[method].apply(this, arguments);
+
+        var changes = this._changes = {},
+            ret, error;
+        try {
+            ret = MemoryDriver.prototype[method].apply(this, arguments);
+        } catch(e){
+            error = e;
+        } finally {
+            this._changes = undefined;
+        }
+
+        return this._persist(method, model, changes) // partial writes are persisted as well
+            .then(function(){
+                if (error)
+                    throw error;
+                return ret;
+            });
+    };
+});
+
+//endregion
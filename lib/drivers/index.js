@@ -1,3 +1,4 @@
 'use strict';
 
 exports.memory = require('./memory').MemoryDriver;
+exports.file = require('./file').FileDriver;
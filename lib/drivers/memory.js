@@ -11,15 +11,30 @@ var _ = require('lodash'),
 /** In-memory driver for Missy.
  * Is fully synchronous: e.g. does not use promises directly.
  *
- * This driver always does sequential scans and is very very slow.
+ * The primary key and the model indexes (ModelOptions.indexes) are maintained as hash indexes:
+ * queries that test all the fields of an index with $eq or $in only scan the matching rows,
+ * other queries do sequential scans.
+ * Every row has an insertion sequence number: the table is ordered by them, so a row is located with a binary search.
  * Is designed for use in unit-tests only.
  *
+ * Entities are deep-copied on every read and write, so the stored entities are never shared with the caller,
+ * just like with a real DB.
+ *
+ * @param {function():Q?} connect
+ *      Connecter function. Optional.
+ * @param {Object?} options
+ *      Driver options
+ * @param {Boolean} [options.isolation=true]
+ *      Copy the entities on every read and write. Disable for speed, at your own risk.
+ *
  * @constructor
  * @implements {IMissyDriver}
  * @extends {EventEmitter}
  */
 var MemoryDriver = exports.MemoryDriver = function(connect, options){
-    options = options || {};
+    options = _.defaults(options || {}, {
+        isolation: true
+    });
 
     // Driver initialization shortcut
     if (!_.isFunction(connect)){
@@ -27,7 +42,11 @@ var MemoryDriver = exports.MemoryDriver = function(connect, options){
     }
 
     // Prepare
+    this.options = options;
     this._storage = {};
+    this._indexes = {};
+    this._seqs = {}; // sequence numbers of the table rows, in the table order
+    this._seq = 0;
     this._connect = connect;
     this.schema = undefined; // see: MemoryDriver.bindSchema()
 
@@ -69,6 +88,228 @@ MemoryDriver.prototype.getTable = function(model){
     return this._storage[model.options.table];
 };
 
+/** Make up the index key from the field values
+ * @param {Array} values
+ * @returns {String}
+ */
+var indexKey = function(values){
+    return JSON.stringify(_.map(values, function(value){
+        return _.isUndefined(value)? null : value;
+    }));
+};
+
+/** Get the index field values of a row
+ * @param {{ fields: Array.<String> }} index
+ * @param {Object} entity
+ * @returns {Array}
+ */
+var indexValues = function(index, entity){
+    return _.map(index.fields, function(fieldName){
+        return u.path.get(entity, fieldName);
+    });
+};
+
+/** Ensure the table indexes exist: the primary key, then the model indexes.
+ * Every index maps the keys to the entries of the rows that have them: { seq: Number, row: Object }.
+ * Numbers the existing rows.
+ * @param {Model} model
+ * @returns {Array.<{ fields: Array.<String>, unique: Boolean, primary: Boolean, rows: Object.<String, Array.<{ seq: Number, row: Object }>> }>}
+ * @protected
+ */
+MemoryDriver.prototype.getIndexes = function(model){
+    var table = model.options.table;
+    if (!(table in this._indexes)){
+        this._indexes[table] = _.map([ { fields: model.options.pk, unique: true, primary: true } ].concat(model.options.indexes || []), function(index){
+            return { fields: index.fields, unique: index.unique, primary: !!index.primary, rows: {} };
+        });
+        // Index the existing rows
+        this._seqs[table] = _.map(this.getTable(model), function(entity){
+            var seq = this._seq++;
+            this._indexRow(model, entity, seq);
+            return seq;
+        }, this);
+    }
+    return this._indexes[table];
+};
+
+/** Add a row to the table indexes
+ * @param {Model} model
+ * @param {Object} entity
+ * @param {Number} seq
+ *      The row sequence number
+ * @protected
+ */
+MemoryDriver.prototype._indexRow = function(model, entity, seq){
+    _.each(this.getIndexes(model), function(index){
+        var key = indexKey(indexValues(index, entity));
+        (index.rows[key] || (index.rows[key] = [])).push({ seq: seq, row: entity });
+    });
+};
+
+/** Remove a row from the table indexes
+ * @param {Model} model
+ * @param {Object} entity
+ * @protected
+ */
+MemoryDriver.prototype._unindexRow = function(model, entity){
+    var hasRow = function(entry){ return entry.row === entity; };
+    _.each(this.getIndexes(model), function(index){
+        var key = indexKey(indexValues(index, entity));
+        if (!_.any(index.rows[key], hasRow)) // the row was modified in place
+            key = _.findKey(index.rows, function(entries){
+                return _.any(entries, hasRow);
+            });
+        _.remove(index.rows[key] || [], hasRow);
+        if (_.isEmpty(index.rows[key]))
+            delete index.rows[key];
+    });
+};
+
+/** Get the position of a row in the table
+ * @param {Model} model
+ * @param {Number} seq
+ *      The row sequence number
+ * @returns {Number}
+ * @private
+ */
+MemoryDriver.prototype._position = function(model, seq){
+    this.getIndexes(model);
+    return _.sortedIndex(this._seqs[model.options.table], seq);
+};
+
+/** Check the unique indexes for the rows that are about to be written.
+ * The rows must not conflict with the stored ones, nor with each other.
+ * Keys with `null` values are only checked for the primary key.
+ * @param {Model} model
+ * @param {Array.<Object>} entities
+ *      The rows to check
+ * @param {Array.<Object>?} replaced
+ *      The rows that are being replaced: they do not conflict
+ * @throws {EntityExists} on unique violation
+ * @private
+ */
+MemoryDriver.prototype._checkUnique = function(model, entities, replaced){
+    _.each(this.getIndexes(model), function(index){
+        if (!index.unique)
+            return;
+        var keys = {};
+        _.each(entities, function(entity){
+            var values = indexValues(index, entity);
+            if (!index.primary && _.any(values, function(value){ return _.isUndefined(value) || _.isNull(value); }))
+                return;
+            var key = indexKey(values);
+            if (_.has(keys, key) || _.any(index.rows[key], function(entry){ return !_.contains(replaced, entry.row); }))
+                throw new errors.EntityExists(model, entity);
+            keys[key] = true;
+        });
+    });
+};
+
+/** Get the candidate row entries for the criteria.
+ * Uses an index when the criteria test all its fields with $eq or $in, and falls back to the whole table otherwise.
+ * The candidates still need to be matched against the criteria.
+ * @param {Model} model
+ * @param {MissyCriteria} criteria
+ * @returns {Array.<{ seq: Number, row: Object }>} row index entries, in the table order
+ * @private
+ */
+MemoryDriver.prototype._candidateEntries = function(model, criteria){
+    var indexes = this.getIndexes(model),
+        seqs = this._seqs[model.options.table],
+        tests = criteria.criteria,
+        keys;
+
+    // Find an index whose fields are tested for equality, and make up the keys to look up
+    var index = _.find(indexes, function(index){
+        keys = _.reduce(index.fields, function(keys, fieldName){
+            var test = _.has(tests, fieldName)? tests[fieldName] : {},
+                values = ('$eq' in test)? [test.$eq] : test.$in;
+            if (!keys || !values)
+                return undefined;
+            return _.flatten(_.map(keys, function(key){
+                return _.map(values, function(value){
+                    return key.concat([value]);
+                });
+            }), true);
+        }, [[]]);
+        return keys;
+    });
+    if (!index)
+        return _.map(this.getTable(model), function(entity, i){
+            return { seq: seqs[i], row: entity };
+        });
+
+    // Look up: every key maps to distinct rows
+    var entries = _.flatten(_.map(_.uniq(_.map(keys, indexKey)), function(key){
+        return index.rows[key] || [];
+    }), true);
+    return (entries.length > 1)? _.sortBy(entries, 'seq') : entries;
+};
+
+/** Get the candidate rows for the criteria
+ * @see {MemoryDriver#_candidateEntries}
+ * @param {Model} model
+ * @param {MissyCriteria} criteria
+ * @returns {Array.<Object>} rows, in the table order
+ * @private
+ */
+MemoryDriver.prototype._candidates = function(model, criteria){
+    return _.pluck(this._candidateEntries(model, criteria), 'row');
+};
+
+/** Copy the stored entities or the caller entities, when isolation is enabled
+ * @param {*} value
+ * @returns {*}
+ * @private
+ */
+MemoryDriver.prototype._copy = function(value){
+    return this.options.isolation? _.cloneDeep(value) : value;
+};
+
+/** Find the rows: the entities are not copied
+ * @see {IMissyDriver#find}
+ * @returns {Array.<Object>}
+ * @private
+ */
+MemoryDriver.prototype._find = function(model, criteria, fields, sort, options){
+    var table = this._candidates(model, criteria);
+
+    return _(sort.entitiesSort(table)).chain()
+        .filter(function(entity){
+            return criteria.entityMatch(entity);
+        })
+        .map(function(entity){
+            return fields.entityApply(model, entity);
+        })
+        .slice(options.skip, options.limit? options.skip + options.limit : undefined)
+        .value();
+};
+
+/** Find a row by PK
+ * @param {Model} model
+ * @param {Object} entity
+ * @returns {{ seq: Number, row: Object }|undefined} The row index entry
+ * @private
+ */
+MemoryDriver.prototype._findByPk = function(model, entity){
+    var index = this.getIndexes(model)[0];
+    return (index.rows[indexKey(indexValues(index, entity))] || [])[0];
+};
+
+/** Replace a row. Does not check the unique indexes.
+ * @param {Model} model
+ * @param {{ seq: Number, row: Object }} current
+ *      The index entry of the row to replace
+ * @param {Object} entity
+ *      The new row
+ * @private
+ */
+MemoryDriver.prototype._replaceRow = function(model, current, entity){
+    this._unindexRow(model, current.row);
+    this.getTable(model)[this._position(model, current.seq)] = entity;
+    this._indexRow(model, entity, current.seq);
+};
+
 MemoryDriver.prototype.bindSchema = function(schema){
     this._schema = schema;
 };
@@ -76,7 +317,7 @@ MemoryDriver.prototype.bindSchema = function(schema){
 //region Queries
 
 MemoryDriver.prototype.findOne = function(model, criteria, fields, sort, options){
-    var table = this.getTable(model);
+    var table = this._candidates(model, criteria);
 
     // Find
     var entity = _.find(
@@ -89,41 +330,70 @@ MemoryDriver.prototype.findOne = function(model, criteria, fields, sort, options
     if (_.isUndefined(entity))
         return null;
     // Projection
-    return fields.entityApply(model, entity);
+    return this._copy(fields.entityApply(model, entity));
 };
 
 MemoryDriver.prototype.find = function(model, criteria, fields, sort, options){
-    var table = this.getTable(model);
+    return this._copy(this._find(model, criteria, fields, sort, options));
+};
 
-    return _(sort.entitiesSort(table)).chain()
+MemoryDriver.prototype.findPartitioned = function(model, partition, criteria, fields, sort, options){
+    var table = this._candidates(model, criteria),
+        counts = {};
+
+    return this._copy(_(sort.entitiesSort(table)).chain()
         .filter(function(entity){
             return criteria.entityMatch(entity);
         })
+        // Slice every partition
+        .filter(function(entity){
+            var id = JSON.stringify(_.map(partition.fields, function(fieldName){
+                return u.path.get(entity, fieldName);
+            }));
+            var n = counts[id] = (counts[id] || 0) + 1;
+            return n > partition.skip && (!partition.limit || n <= partition.skip + partition.limit);
+        })
         .map(function(entity){
             return fields.entityApply(model, entity);
         })
         .slice(options.skip, options.limit? options.skip + options.limit : undefined)
-        .value();
+        .value());
+};
+
+MemoryDriver.prototype.cursor = function(model, criteria, fields, sort, options){
+    return new u.ArrayCursor(this.find(model, criteria, fields, sort, options));
 };
 
 MemoryDriver.prototype.count = function(model, criteria, options){
-    var table = this.getTable(model);
+    var table = this._candidates(model, criteria);
 
     return _.filter(table, function(entity){
         return criteria.entityMatch(entity);
     }).length;
 };
 
-/** Find an entity row index by PK
- * @param {Model} model
- * @param {Object} entity
- * @returns {Number}
- * @private
- */
-MemoryDriver.prototype._findIndexByPk = function(model, entity){
+MemoryDriver.prototype.aggregate = function(model, aggregate, options){
     var table = this.getTable(model);
 
-    return _.findIndex(table, _.pick(entity, model.options.pk));
+    return this._copy(aggregate.entitiesAggregate(table));
+};
+
+MemoryDriver.prototype.distinct = function(model, fieldName, criteria, sort, options){
+    var table = this._candidates(model, criteria);
+
+    return this._copy(_(sort.entitiesSort(table)).chain()
+        .filter(function(entity){
+            return criteria.entityMatch(entity);
+        })
+        .map(function(entity){
+            return u.path.get(entity, fieldName);
+        })
+        .reject(_.isUndefined)
+        .uniq(function(value){
+            return JSON.stringify(value);
+        })
+        .slice(options.skip, options.limit? options.skip + options.limit : undefined)
+        .value());
 };
 
 MemoryDriver.prototype.insert = function(model, entities, options){
@@ -131,41 +401,39 @@ MemoryDriver.prototype.insert = function(model, entities, options){
 
     // NOTE: MemoryDriver does not enforce the model to have all required fields
     return _.map(entities, function(entity){
-        // PK uniqueness check
-        if (this._findIndexByPk(model, entity) !== -1)
-            throw new errors.EntityExists(model, entity);
+        entity = this._copy(entity);
+        // PK & unique indexes check
+        this._checkUnique(model, [entity]);
         // Insert
+        var seq = this._seq++;
         table.push(entity);
+        this._seqs[model.options.table].push(seq);
+        this._indexRow(model, entity, seq);
         // Return
-        return entity;
+        return this._copy(entity);
     }, this);
 };
 
 MemoryDriver.prototype.update = function(model, entities, options){
-    var table = this.getTable(model);
-
     return _.map(entities, function(entity){
         // Find entity
-        var index = this._findIndexByPk(model, entity);
-        if (index === -1)
+        var current = this._findByPk(model, entity);
+        if (!current)
             throw new errors.EntityNotFound(model, entity);
         // Update
-        table[index] = entity;
+        entity = this._copy(entity);
+        this._checkUnique(model, [entity], [current.row]);
+        this._replaceRow(model, current, entity);
         // Return
-        return entity;
+        return this._copy(entity);
     }, this);
 };
 
 MemoryDriver.prototype.save = function(model, entities, options){
     return _.map(entities, function(entity){
-        try {
-            return this.insert(model, [entity], options)[0];
-        } catch(e){
-            if (e instanceof errors.EntityExists)
-                return this.update(model, [entity], options)[0];
-            else
-                throw e;
-        }
+        return this._findByPk(model, entity)
+            ? this.update(model, [entity], options)[0]
+            : this.insert(model, [entity], options)[0];
     }, this);
 };
 
@@ -174,48 +442,65 @@ MemoryDriver.prototype.remove = function(model, entities, options){
 
     return _.map(entities, function(entity){
         // Find entity
-        var index = this._findIndexByPk(model, entity);
-        if (index === -1)
+        var current = this._findByPk(model, entity);
+        if (!current)
             throw new errors.EntityNotFound(model, entity);
         // Remove
-        entity = table.splice(index, 1)[0];
+        var position = this._position(model, current.seq);
+        table.splice(position, 1);
+        this._seqs[model.options.table].splice(position, 1);
+        this._unindexRow(model, current.row);
         // Return
-        return entity;
+        return this._copy(current.row);
     }, this);
 };
 
 MemoryDriver.prototype.updateQuery = function(model, criteria, update, options){
-    var table = this.getTable(model);
-
-    // Update
-    var entities = _.map(
-        this.find(model, criteria, new u.MissyProjection(), new u.MissySort(), { skip: 0, limit: options.multi? 0 : 1 }),
-        function(entity){
-            update.entityUpdate(entity);
-            return entity;
-        }
-    );
+    // Update: replace the rows, so a unique violation leaves them intact
+    var entries = _.filter(this._candidateEntries(model, criteria), function(entry){
+        return criteria.entityMatch(entry.row);
+    });
+    entries = options.multi? entries : _.first(entries, 1);
+    var entities = _.map(entries, function(entry){
+        var updated = _.cloneDeep(entry.row);
+        update.entityUpdate(updated);
+        return updated;
+    });
+    this._checkUnique(model, entities, _.pluck(entries, 'row')); // before replacing any
+    _.each(entries, function(entry, i){
+        this._replaceRow(model, entry, entities[i]);
+    }, this);
 
     // Finish
-    if (entities.length)
-        return entities;
+    if (entities.length || !options.upsert)
+        return this._copy(entities);
 
-    // Error?
-    var entity = update.entityInsert(criteria);
-    if (!options.upsert)
-        throw new errors.EntityNotFound(model, entity);
-    table.push(entity);
-
-    // Finish
-    return [entity];
+    // Upsert
+    return this.insert(model, [update.entityInsert(criteria)], options);
 };
 
 MemoryDriver.prototype.removeQuery = function(model, criteria, options){
-    var table = this.getTable(model);
-
-    return _.remove(table, function(entity){
-        return criteria.entityMatch(entity);
+    this.getIndexes(model); // numbers the rows
+    var table = this.getTable(model),
+        seqs = this._seqs[model.options.table];
+
+    // Compact the table in place
+    var entities = [],
+        n = 0;
+    _.each(table, function(entity, i){
+        if (criteria.entityMatch(entity))
+            entities.push(entity);
+        else {
+            table[n] = entity;
+            seqs[n++] = seqs[i];
+        }
     });
+    table.length = seqs.length = n;
+
+    _.each(entities, function(entity){
+        this._unindexRow(model, entity);
+    }, this);
+    return this._copy(entities);
 };
 
 //endregion
@@ -8,6 +8,7 @@ exports.errors = require('./errors');
 exports.util = require('./util');
 exports.types = require('./types');
 exports.drivers = require('./drivers');
+exports.sql = require('./sql');
 
 /** Register a Missy driver
  * @param {String} name
@@ -267,6 +267,99 @@ IMissyDriver.prototype.updateQuery = function(model, criteria, update, options){
 IMissyDriver.prototype.removeQuery = function(model, criteria, options){
 };
 
+/** Open a cursor over the matching entities.
+ * Optional: when the driver does not implement it, Model.stream() fetches pages with find().
+ * @name IMissyDriver#cursor
+ * @function
+ * @param {Model} model
+ * @param {MissyCriteria} criteria
+ * @param {MissyProjection} fields
+ * @param {MissySort} sort
+ * @param {Object} options
+ * @param {Number?} [options.skip=0]
+ * @param {Number?} [options.limit=0]
+ * @returns {Q|IMissyDriverCursor} -> cursor
+ * @throws {MissyDriverError}
+ */
+
+/** Find an array of entities, applying skip & limit to every partition.
+ * A partition is a set of entities that have the same values of the partition fields:
+ * e.g. "the latest 3 comments of every post". SQL drivers can use window functions: ROW_NUMBER() OVER (PARTITION BY ..).
+ * Optional: when the driver does not implement it, Model.find() with `options.partition` fails with MissyDriverError,
+ * and relations slice the related entities in memory.
+ * @name IMissyDriver#findPartitioned
+ * @function
+ * @param {Model} model
+ * @param {{ fields: Array.<String>, skip: Number, limit: Number }} partition
+ *      Partition fields, and the skip & limit to apply to every partition. limit=0 means no limit.
+ * @param {MissyCriteria} criteria
+ * @param {MissyProjection} fields
+ * @param {MissySort} sort
+ *      Sort for the partitions, and for the result
+ * @param {Object} options
+ * @param {Number?} [options.skip=0]
+ * @param {Number?} [options.limit=0]
+ * @returns {Q} -> entities
+ * @throws {MissyDriverError}
+ */
+
+/** Get the distinct values of a field among the matching entities.
+ * Optional: when the driver does not implement it, Model.distinct() fails with MissyDriverError.
+ * @name IMissyDriver#distinct
+ * @function
+ * @param {Model} model
+ * @param {String} fieldName
+ *      The field to collect the values of. Can be a dot-notation path.
+ * @param {MissyCriteria} criteria
+ * @param {MissySort} sort
+ *      The values are ordered by the first entity they were found in
+ * @param {Object} options
+ * @param {Number?} [options.skip=0]
+ * @param {Number?} [options.limit=0]
+ * @returns {Q} -> values
+ * @throws {MissyDriverError}
+ */
+
+/** Aggregate the matching entities.
+ * Optional: when the driver does not implement it, Model.aggregate() fails with MissyDriverError.
+ * @name IMissyDriver#aggregate
+ * @function
+ * @param {Model} model
+ * @param {MissyAggregate} aggregate
+ *      Aggregation specification: criteria, group, accumulators, sort, skip, limit
+ * @param {Object?} options
+ *      Driver-dependent options
+ * @returns {Q} -> rows: { groupField: value, .., accumulator: value, .. }
+ * @throws {MissyDriverError}
+ */
+
+
+
+
+
+
+/** Driver cursor: fetches entities in batches
+ * @see {IMissyDriver#cursor}
+ * @interface
+ */
+var IMissyDriverCursor = exports.IMissyDriverCursor = function(){
+};
+
+/** Fetch the next batch of entities
+ * @param {Number} count
+ *      The maximum number of entities to fetch
+ * @returns {Q} -> entities. An empty array means the end of data.
+ * @throws {MissyDriverError}
+ */
+IMissyDriverCursor.prototype.next = function(count){
+};
+
+/** Release the cursor resources
+ * @returns {Q} -> promise
+ */
+IMissyDriverCursor.prototype.close = function(){
+};
+
 
 
 
@@ -282,6 +375,8 @@ IMissyDriver.prototype.removeQuery = function(model, criteria, options){
  *      Foreign model object
  * @property {Boolean} arrayRelation
  *      Whether the relation produces an array of entities
+ * @property {Boolean} savedBefore
+ *      Whether the related entities are saved before the local entities (e.g. the parent of a "belongs to" relation)
  *
  * @interface
  */
@@ -321,3 +416,52 @@ IMissyRelation.prototype.removeRelated = function(entities, options){
  */
 IMissyRelation.prototype.removeRelated = function(entities, options){
 };
+
+/** Count related entities using the relation, and assign the numbers to the entities.
+ * Optional: when the relation does not implement it, Model.loadRelatedCount() fails with MissyRelationError.
+ * @name IMissyRelation#countRelated
+ * @function
+ * @param {Array.<Object>} entities
+ *      The entities to count the related entities for
+ * @param {Object?} criteria
+ *      Additional criteria for the related entities
+ * @param {Object?} options
+ *      Driver-specific options for the related queries
+ * @param {String?} options.property
+ *      The property to assign the numbers to. Default: the relation name + 'Count'
+ * @returns {Q} -> entities
+ */
+
+/** Check the referential integrity: find the entities whose foreign keys reference missing entities.
+ * Optional: when the relation does not implement it, Model.checkIntegrity() fails with MissyRelationError.
+ * @name IMissyRelation#checkIntegrity
+ * @function
+ * @param {Object?} options
+ * @param {String?} options.fix
+ *      How to fix the orphans: 'nullify' or 'delete'
+ * @param {Number} [options.batchSize=1000]
+ *      The number of entities to check with a query
+ * @returns {Q} -> Array.<IntegrityReport>
+ */
+
+/** Load the ancestors of an entity with a self-referencing relation.
+ * Optional: when the relation does not implement it, Model.loadAncestors() and Model.loadDescendants() fail with MissyRelationError.
+ * @name IMissyRelation#loadAncestors
+ * @function
+ * @param {Object} entity
+ * @param {Object?} options
+ *      Driver-specific options for the related queries
+ * @returns {Q} -> ancestors: [ parent, grandparent, .. ]
+ */
+
+/** Load the descendants of an entity with a self-referencing relation.
+ * Optional: required when the relation implements IMissyRelation#loadAncestors
+ * @name IMissyRelation#loadDescendants
+ * @function
+ * @param {Object} entity
+ * @param {Object|MissyProjection?} fields
+ * @param {Object|Array|MissySort?} sort
+ * @param {Object?} options
+ *      Options for loadRelated(): `depth` limits the number of levels
+ * @returns {Q} -> descendants, breadth-first
+ */
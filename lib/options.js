@@ -4,7 +4,8 @@
  * @fileOverview
  */
 
-var _ = require('lodash')
+var _ = require('lodash'),
+    errors = require('./errors')
     ;
 
 /** Schema options
@@ -36,6 +37,12 @@ SchemaSettings.prepare = function(schema, settings){
  * @property {Object?} entityPrototype
  *      The object to use as a prototype for loaded entities.
  *      This is the way of assigning methods to entities.
+ * @property {Boolean} [relationAccessors=true]
+ *      Add relation accessors to loaded entities: `entity.$load('posts')`, `entity.posts()`.
+ *      Loaded entities then get a custom prototype: disable to keep them as plain objects.
+ * @property {Array.<{ fields: Array.<String>, unique: Boolean }>} [indexes=[]]
+ *      Secondary indexes: { fields: String|Array.<String>, unique: Boolean? }, or just the field name[s].
+ *      Drivers can use them to speed up the queries. Unique indexes reject duplicate values with EntityExists.
  *
  * @interface
  */
@@ -47,9 +54,30 @@ ModelOptions.prepare = function(model, options){
         table: model.name.toLowerCase() + 's',
         pk: 'id',
         required: false,
-        entityPrototype: undefined
+        entityPrototype: undefined,
+        relationAccessors: true,
+        indexes: []
     });
     // Normalize
     options.pk = [].concat(options.pk);
+    options.indexes = _.map(options.indexes, function(index){
+        if (_.isString(index) || _.isArray(index))
+            index = { fields: index };
+        return { fields: [].concat(index.fields), unique: !!index.unique };
+    });
     return options;
 };
+
+/** Check the options against the model fields
+ * @param {Model} model
+ * @throws {MissyModelError} index on undefined fields
+ */
+ModelOptions.check = function(model){
+    _.each(model.options.indexes, function(index){
+        var unknown = _.reject(index.fields, function(fieldName){
+            return fieldName.split('.')[0] in model.fields; // nested fields are indexed by path
+        });
+        if (unknown.length)
+            throw new errors.MissyModelError(model, 'Index contains undefined fields: ' + unknown.join(', '));
+    });
+};
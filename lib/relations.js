@@ -25,17 +25,43 @@ var Q = require('q'),
  *      | String:   a common field name
  *      | Array:    multiple common field names
  *      | Object:   local field names mapped to foreign field names
+ * @param {Object?} options
+ *      Relation options.
+ *      The relation scope applies to all the related entities:
+ * @param {Object?} options.where
+ *      Criteria for the related entities. Is merged with the foreign keys criteria.
+ *      Its equality conditions are applied to the related entities on save.
+ * @param {String|Object|Array|MissySort?} options.sort
+ *      Sort for the related entities. The loadRelated() sort takes precedence.
+ * @param {Number?} [options.limit=0]
+ *      The maximum number of related entities per local entity. 0 = no limit.
+ *      Is the default for the `perParentLimit` option of loadRelated()
+ * @param {String?} [options.onRemove='ignore']
+ *      What to do with the related entities when local entities are removed with Model.remove() or Model.removeQuery():
+ *      | 'cascade':    remove them
+ *      | 'nullify':    set their foreign keys to `null`
+ *      | 'restrict':   reject the removal with MissyRelationError when they exist
+ *      | 'ignore':     do nothing
  *
  * @property {Object.<String,String>} fields
+ * @property {{ where: Object?, sort: MissySort, limit: Number }} scope
+ * @property {String} onRemove
  *
  * @constructor
  * @implements {IMissyRelation}
+ * @throws {MissyRelationError} on unknown `onRemove` behavior
  */
-var hasOne = exports.hasOne = function(model, prop, foreign, fields){
+var hasOne = exports.hasOne = function(model, prop, foreign, fields, options){
+    options = options || {};
     this.model = model;
     this.prop = prop;
     this.foreign = foreign;
     this.fields = hasOne._prepareFields(fields);
+    this.scope = hasOne._prepareScope(foreign, options);
+    this.onRemove = options.onRemove || 'ignore';
+
+    if (!_.contains(hasOne.onRemove, this.onRemove))
+        throw new errors.MissyRelationError(this, 'Unknown onRemove behavior: ' + this.onRemove);
 
     // Check
     var self = this;
@@ -54,6 +80,12 @@ var hasOne = exports.hasOne = function(model, prop, foreign, fields){
     })(_.difference(_.values(this.fields), _.keys(foreign.fields)));
 };
 hasOne.prototype.arrayRelation = false;
+hasOne.prototype.savedBefore = false;
+
+/** Supported `onRemove` behaviors
+ * @type {Array.<String>}
+ */
+hasOne.onRemove = ['cascade', 'nullify', 'restrict', 'ignore'];
 
 /** Normalize the `fields` into an object
  * @param {String|Array.<String>|Object} fields
@@ -72,6 +104,25 @@ hasOne._prepareFields = function(fields){
         return _.object([[fields, fields]]);
 };
 
+/** Normalize the relation scope
+ * @param {Model} foreign
+ * @param {Object?} scope
+ *      Relation options: where, sort, limit
+ * @returns {{ where: Object?, sort: MissySort, limit: Number }}
+ * @throws {MissyModelError} on unknown operator in the criteria
+ * @protected
+ */
+hasOne._prepareScope = function(foreign, scope){
+    scope = scope || {};
+    if (!_.isEmpty(scope.where))
+        new u.MissyCriteria(foreign, scope.where); // validate
+    return {
+        where: _.isEmpty(scope.where)? undefined : scope.where,
+        sort: new u.MissySort(scope.sort),
+        limit: scope.limit || 0
+    };
+};
+
 /** Make a scalar object identity
  * @param {Object} entity
  *      The entity to identify
@@ -83,18 +134,310 @@ var entityId = function(entity, fields){
     return _.values(_.pick(entity, fields)).join('\0');
 };
 
+/** Check whether the entity has a complete key: all the key fields are set
+ * @param {Object} entity
+ * @param {Array.<String>} fields
+ *      Key fields
+ * @returns {Boolean}
+ */
+var hasKey = function(entity, fields){
+    return _.all(fields, function(fieldName){
+        return !_.isUndefined(entity[fieldName]) && !_.isNull(entity[fieldName]);
+    });
+};
+
+/** Make up the criteria that matches entities by key values picked from the given entities.
+ * Single-field keys use $in, multi-field keys use $or.
+ * Entities with incomplete keys are skipped.
+ * @param {Array.<Object>} entities
+ *      The entities to pick the key values from
+ * @param {Array.<String>} fields
+ *      The key fields of the given entities
+ * @param {Array.<String>} targetFields
+ *      The matching fields of the searched entities
+ * @returns {Object} for MissyCriteria
+ */
+var keysCriteria = function(entities, fields, targetFields){
+    // Pick complete keys
+    var keys = _.map(
+        _.filter(entities, function(entity){
+            return hasKey(entity, fields);
+        }),
+        function(entity){
+            return _.values(_.pick(entity, fields));
+        }
+    );
+
+    // Single field: $in
+    if (fields.length === 1){
+        var criteria = {};
+        criteria[targetFields[0]] = { $in: _.uniq(_.flatten(keys)) };
+        return criteria;
+    }
+
+    // Multiple fields: $or
+    return {
+        $or: _.map(
+            _.uniq(keys, function(key){ return key.join('\0'); }),
+            function(key){
+                return _.object(targetFields, key);
+            }
+        )
+    };
+};
+
+/** Detach the entities: set the given fields to `null`, both on the entities and in the DB
+ * @param {Model} model
+ *      The model of the entities
+ * @param {Array.<Object>} entities
+ * @param {Array.<String>} fieldNames
+ *      The fields to set to `null`
+ * @param {Object?} options
+ *      Driver-specific options for the updateQuery()
+ * @returns {Q} -> entities
+ */
+var detach = function(model, entities, fieldNames, options){
+    var pk = model.options.pk,
+        nulls = _.object(fieldNames, _.map(fieldNames, _.constant(null)))
+        ;
+
+    return Q()
+        .then(function(){
+            _.each(entities, function(entity){
+                _.extend(entity, nulls);
+            });
+
+            return model.updateQuery(keysCriteria(entities, pk, pk), { $set: nulls }, _.extend({}, options, { multi: true }))
+                .catch(function(e){
+                    if (!(e instanceof errors.EntityNotFound)) // nothing to detach
+                        throw e;
+                });
+        })
+        .thenResolve(entities);
+};
+
+/** Pick the entities that reference missing parents
+ * @param {Array.<Object>} entities
+ *      The entities with complete foreign keys
+ * @param {Array.<String>} fields
+ *      The foreign key fields of the entities
+ * @param {Model} parent
+ *      The parent model
+ * @param {Array.<String>} parentFields
+ *      The parent fields referenced by the foreign keys
+ * @returns {Q} -> orphans
+ */
+var missingParents = function(entities, fields, parent, parentFields){
+    return parent.find(keysCriteria(entities, fields, parentFields), parentFields)
+        .then(function(parents){
+            var ids = _.object(_.map(parents, function(entity){
+                return [entityId(entity, parentFields), true];
+            }));
+            return _.reject(entities, function(entity){
+                return entityId(entity, fields) in ids;
+            });
+        });
+};
+
+/** Check the referential integrity: find the orphans, i.e. entities whose foreign keys reference missing entities.
+ * The entities are scanned in batches, in the primary key order, and the fix is applied to every batch.
+ * @param {IMissyRelation} relation
+ *      The relation being checked
+ * @param {Model} model
+ *      The model that holds the foreign keys
+ * @param {Array.<String>} fields
+ *      The foreign key fields. Entities with incomplete foreign keys are not checked.
+ * @param {Object?} criteria
+ *      Criteria for the entities to check
+ * @param {function(Array.<Object>):Q} findOrphans
+ *      Pick the orphans from a batch of entities: promise for an array
+ * @param {Object?} options
+ * @param {String?} options.fix
+ *      How to fix the orphans: 'nullify' sets the foreign keys to `null`, 'delete' removes the orphans
+ * @param {Number} [options.batchSize=1000]
+ *      The number of entities to check with a query
+ * @returns {Q} -> IntegrityReport
+ */
+var checkOrphans = function(relation, model, fields, criteria, findOrphans, options){
+    options = options || {};
+
+    var pk = model.options.pk,
+        keys = u.keyset.keys(model, new u.MissySort()),
+        projection = _.union(pk, fields),
+        batchSize = options.batchSize || 1000
+        ;
+
+    /** Integrity report
+     * @typedef {{ relation: String, model: String, fields: Array.<String>, checked: Number, orphans: Array.<Object>, fixed: Number }} IntegrityReport
+     */
+    var report = {
+        relation: relation.model.name + '.' + relation.prop,
+        model: model.name,
+        fields: fields,
+        checked: 0,
+        orphans: [],
+        fixed: 0
+    };
+
+    var fix = function(orphans){
+        if (!orphans.length || !options.fix)
+            return Q.fulfill();
+        return (options.fix === 'delete'
+                ? model.removeQuery(keysCriteria(orphans, pk, pk), { multi: true })
+                : detach(model, orphans, fields)
+            ).then(function(){
+                report.fixed += orphans.length;
+            });
+    };
+
+    var checkBatch = function(last){
+        var batchCriteria = _.compact([
+            criteria,
+            last && u.keyset.criteria(keys, _.map(keys, function(dir, fieldName){
+                return u.path.get(last, fieldName);
+            }))
+        ]);
+
+        return model.find(batchCriteria.length > 1? { $and: batchCriteria } : (batchCriteria[0] || {}), projection, keys, { limit: batchSize })
+            .then(function(entities){
+                var checked = _.filter(entities, function(entity){
+                    return hasKey(entity, fields);
+                });
+                report.checked += checked.length;
+
+                return (checked.length? findOrphans(checked) : Q.fulfill([]))
+                    .then(function(orphans){
+                        report.orphans.push.apply(report.orphans, _.map(orphans, function(entity){
+                            return _.pick(entity, projection);
+                        }));
+                        return fix(orphans);
+                    })
+                    .then(function(){
+                        return (entities.length < batchSize)? report : checkBatch(_.last(entities));
+                    });
+            });
+    };
+
+    return checkBatch();
+};
+
+/** Make up the foreign model criteria that matches the entities related to the given ones
+ * @param {Array.<Object>} entities
+ *      Local entities
+ * @returns {Object} for MissyCriteria
+ * @protected
+ */
+hasOne.prototype._foreignCriteria = function(entities){
+    var criteria = keysCriteria(entities, _.keys(this.fields), _.values(this.fields));
+    if (this.scope.where)
+        criteria.$and = [ this.scope.where ];
+    return criteria;
+};
+
+/** Load a self-referencing relation recursively: a query per tree level.
+ * Every path is checked for cycles.
+ * @param {hasOne|hasMany} relation
+ * @param {Array.<Object>} entities
+ * @param {Object|MissyProjection?} fields
+ * @param {Object|Array|MissySort?} sort
+ * @param {Object?} options
+ * @param {Number} depth
+ *      The number of levels to load. `Infinity` to load the whole tree.
+ * @returns {Q} -> entities
+ * @throws {MissyRelationError} when the relation is not self-referencing
+ * @throws {MissyRelationError} on cycles (promised)
+ */
+var loadRecursive = function(relation, entities, fields, sort, options, depth){
+    if (relation.foreign !== relation.model)
+        throw new errors.MissyRelationError(relation, 'Recursive loading requires a self-referencing relation');
+
+    var pk = relation.model.options.pk;
+    if (fields && !new u.MissyProjection(fields).includesFields( _.union(_.keys(relation.fields), pk) ))
+        throw new errors.MissyRelationError(relation, 'Projection drops local keys');
+
+    /** Load a level
+     * @param {Array.<{ entity: Object, path: Array.<String> }>} level
+     *      The entities of the level, and their paths: identities of the ancestors
+     * @param {Number} depth
+     * @returns {Q}
+     */
+    var loadLevel = function(level, depth){
+        if (!level.length || depth <= 0)
+            return Q.fulfill();
+
+        return relation.loadRelated(_.uniq(_.pluck(level, 'entity')), fields, sort, options)
+            .then(function(){
+                var nextLevel = [];
+                _.each(level, function(item){
+                    var path = item.path.concat([ entityId(item.entity, pk) ]);
+                    _.each(_.compact([].concat(item.entity[relation.prop])), function(related){
+                        var id = entityId(related, pk);
+                        if (_.contains(path, id))
+                            throw new errors.MissyRelationError(relation, 'Cycle detected: ' + path.concat([id]).join(' -> '));
+                        nextLevel.push({ entity: related, path: path });
+                    });
+                });
+                return loadLevel(nextLevel, depth - 1);
+            });
+    };
+
+    return loadLevel(_.map(entities, function(entity){
+        return { entity: entity, path: [] };
+    }), depth)
+        .thenResolve(entities);
+};
+
+/** Load the related entities
+ * @see {IMissyRelation#loadRelated}
+ * @param {Array.<Object>} entities
+ * @param {Object|MissyProjection?} fields
+ * @param {Object|Array|MissySort?} sort
+ * @param {Object?} options
+ *      Driver-specific options for the related find() query, and:
+ * @param {Number?} [options.perParentSkip=0]
+ *      Skip this number of related entities for every local entity
+ * @param {Number?} [options.perParentLimit=scope.limit]
+ *      Limit the number of related entities for every local entity. 0 = no limit.
+ *      Uses IMissyDriver#findPartitioned() when the driver supports it.
+ * @param {Number?} [options.depth=1]
+ *      Self-referencing relations: load the related entities of the related entities, up to this number of levels
+ * @param {Boolean?} [options.recursive=false]
+ *      Self-referencing relations: load all the levels
+ * @returns {Q} -> entities
+ * @throws {MissyRelationError} on recursive loading of a relation that is not self-referencing
+ * @throws {MissyRelationError} on cycles in recursive loading (promised)
+ */
 hasOne.prototype.loadRelated = Q.fbind(function(entities, fields, sort, options){
     var self = this,
         hostFields = _.keys(self.fields),
         foreignFields = _.values(self.fields)
         ;
 
+    // Recursive loading
+    if (options && (options.recursive || options.depth > 1))
+        return loadRecursive(self, entities, fields, sort, _.omit(options, 'recursive', 'depth'), options.recursive? Infinity : options.depth);
+
     // Arguments test
     if (fields){
         fields = new u.MissyProjection(fields);
         if (!fields.includesFields( foreignFields ))
             throw new errors.MissyRelationError(this, 'Projection drops foreign keys');
     }
+    sort = new u.MissySort(_.defaults({}, new u.MissySort(sort).sort, self.scope.sort.sort));
+
+    // Per-parent skip & limit: the driver slices every partition, or we do it in memory
+    options = options || {};
+    var perParent = {
+        skip: Math.max( parseInt(options.perParentSkip) || 0, 0),
+        limit: _.isUndefined(options.perParentLimit)
+            ? self.scope.limit
+            : Math.max( parseInt(options.perParentLimit) || 0, 0) // 0: no limit, overrides the scope
+    };
+    var partitioned = (perParent.skip || perParent.limit) && _.isFunction(self.foreign.schema.driver.findPartitioned);
+
+    options = _.omit(options, 'perParentSkip', 'perParentLimit', 'recursive', 'depth');
+    if (partitioned)
+        options.partition = _.extend({ fields: foreignFields }, perParent);
 
     // Prepare array properties
     _.each(entities, function(entity){
@@ -114,7 +457,7 @@ hasOne.prototype.loadRelated = Q.fbind(function(entities, fields, sort, options)
     /** Foreign model find() criteria
      * @type {Object} for MissyCriteria
      */
-    var criteria = {};
+    var criteria;
 
     /** Lookup hash table which maps foreign entity PK fields (joint string) to local entities
      * @type {Object.<String, Object>}
@@ -124,33 +467,17 @@ hasOne.prototype.loadRelated = Q.fbind(function(entities, fields, sort, options)
     return Q()
         // Make up the search criteria & lookup hash table
         .then(function(){
-            // Criteria & lookup: defaults
-            _.each(self.fields, function(foreignField, localField){
-                criteria[foreignField] = { $in: [] };
-            });
-
-            // Populate the $in conditions and the lookup
-            // FIXME: when used on N fields, it can potentially fetch many unnecessary entities. Fix that with $or when the support for it jumps in
-            var val, id;
+            // lookup
+            var id;
             _.each(entities, function(entity){
-                // criteria
-                _.each(self.fields, function(foreignField, localField){
-                    val = entity[localField];
-                    if (!_.isUndefined(val) && !_.isNull(val))
-                        criteria[foreignField].$in.push(val);
-                });
-
-                // lookup
                 id = entityId(entity, hostFields);
                 if (!(id in lookup))
                     lookup[id] = [];
                 lookup[id].push(entity); // there can be multiple entities with the same identity, and this shouldn't confuse us
             });
 
-            // Remove duplicates
-            _.each(criteria, function(test){
-                test.$in = _.uniq(test.$in);
-            });
+            // criteria
+            criteria = self._foreignCriteria(entities);
         })
         // Find the related entities
         .then(function(){
@@ -158,13 +485,21 @@ hasOne.prototype.loadRelated = Q.fbind(function(entities, fields, sort, options)
         })
         // Distribute the found related entities
         .then(function(relatedEntities){
-            var id, hostEntities;
+            var id, hostEntities, n,
+                counts = {};
 
             _.each(relatedEntities, function(related){
                 // Locate an entity
                 id = entityId(related, foreignFields);
                 hostEntities = lookup[ id ];
 
+                // Per-parent slicing, unless the driver did it
+                if (!partitioned){
+                    n = counts[id] = (counts[id] || 0) + 1;
+                    if (n <= perParent.skip || (perParent.limit && n > perParent.skip + perParent.limit))
+                        return;
+                }
+
                 // Ok?
                 if (hostEntities === undefined) // should never happen
                     throw new errors.MissyRelationError('FAILURE: failed to locate a host entity for ' + id);
@@ -186,7 +521,8 @@ hasOne.prototype.saveRelated = function(entities, options){
     return Q()
         // Set up foreign keys on the related entities
         .then(function(){
-            var relatedEntities = [];
+            var relatedEntities = [],
+                scoped = self.scope.where? new u.MissyCriteria(self.foreign, self.scope.where).entityInsert() : {};
 
             // Set up foreign keys
             _.each(entities, function(entity){
@@ -194,7 +530,7 @@ hasOne.prototype.saveRelated = function(entities, options){
                     return;
                 var pk = _.object(foreignFields, _.values(_.pick(entity, hostFields)));
                 _.each([].concat(entity[self.prop]), function(relatedEntity){
-                    _.extend(relatedEntity, pk);
+                    _.extend(relatedEntity, scoped, pk);
                     relatedEntities.push(relatedEntity);
                 });
             });
@@ -204,34 +540,19 @@ hasOne.prototype.saveRelated = function(entities, options){
         // Remove the previous set of related entities
         .then(function(relatedEntities){
             // Don't remove the related entities we're going to insert
-            return Q()
-                .then(function(){
-                    if (hostFields.length === 1){
-                        // Can just search by PK
-                        var criteria = {};
-                        criteria[ foreignFields[0] ] = {
-                            $in: _.pluck(entities, hostFields[0]),
-                            $nin: _.pluck(relatedEntities, foreignFields[0])
-                        };
-                        return self.foreign.removeQuery(criteria, options);
-                    } else {
-                        // FIXME: when used on N fields, it needs too many queries. Fix that with $or when the support for it jumps in
-
-                        // Load them all & remove
-                        return self.model.loadRelated(_.map(entities, _.clone), self.prop )
-                            .then(function(entities){
-                                var relatedEntities = _.flatten(_.compact(_.pluck(entities, self.prop)), true);
-
-                                // Decide which of them to remove
-                                var lookup = _.indexBy(entities, _.partialRight(entityId, hostFields));
-                                relatedEntities = _.filter(relatedEntities, function(entity){
-                                    return !(entityId(entity, foreignFields) in lookup);
-                                });
-
-                                return self.foreign.remove(relatedEntities);
-                            });
-                    }
-                })
+            var criteria;
+            if (hostFields.length === 1){
+                criteria = self._foreignCriteria(entities);
+                criteria[ foreignFields[0] ].$nin = _.pluck(relatedEntities, foreignFields[0]);
+            } else {
+                criteria = _.extend(self._foreignCriteria(entities), {
+                    $nor: _.map(relatedEntities, function(related){
+                        return _.pick(related, foreignFields);
+                    })
+                });
+            }
+
+            return self.foreign.removeQuery(criteria, options)
                 .thenResolve(relatedEntities);
         })
         // Save related entities
@@ -242,30 +563,230 @@ hasOne.prototype.saveRelated = function(entities, options){
 };
 
 hasOne.prototype.removeRelated = function(entities, options){
+    var self = this;
+
+    return Q()
+        .then(function(){
+            return self.foreign.removeQuery(self._foreignCriteria(entities), options);
+        })
+        .thenResolve(entities);
+};
+
+/** Load the ancestors of an entity with a self-referencing relation that references the children:
+ * the parent is the entity whose local fields match the foreign fields of the child.
+ * Makes a query per level.
+ * @param {Object} entity
+ *      The entity to load the ancestors for. Should have the foreign fields.
+ * @param {Object?} options
+ *      Driver-specific options for the findOne() queries
+ * @returns {Q} -> ancestors: [ parent, grandparent, .. ]
+ * @throws {MissyRelationError} when the relation is not self-referencing
+ * @throws {MissyRelationError} on cycles (promised)
+ */
+hasOne.prototype.loadAncestors = Q.fbind(function(entity, options){
     var self = this,
         hostFields = _.keys(self.fields),
-        foreignFields = _.values(self.fields)
+        foreignFields = _.values(self.fields),
+        pk = self.model.options.pk
+        ;
+
+    if (self.foreign !== self.model)
+        throw new errors.MissyRelationError(self, 'Ancestors require a self-referencing relation');
+
+    var ancestors = [],
+        path = [ entityId(entity, pk) ];
+
+    var loadParent = function(child){
+        // Root
+        if (!hasKey(child, foreignFields))
+            return Q.fulfill(ancestors);
+
+        return self.model.findOne(_.object(hostFields, _.values(_.pick(child, foreignFields))), undefined, undefined, options)
+            .then(function(parent){
+                if (!parent)
+                    return ancestors; // dangling reference
+
+                var id = entityId(parent, pk);
+                if (_.contains(path, id))
+                    throw new errors.MissyRelationError(self, 'Cycle detected: ' + path.concat([id]).reverse().join(' -> '));
+                path.push(id);
+                ancestors.push(parent);
+                return loadParent(parent);
+            });
+    };
+    return loadParent(entity);
+});
+
+/** Load the descendants of an entity with a self-referencing relation that references the children.
+ * Makes a query per level.
+ * @param {Object} entity
+ *      The entity to load the descendants for
+ * @param {Object|MissyProjection?} fields
+ * @param {Object|Array|MissySort?} sort
+ * @param {Object?} options
+ *      Options for loadRelated(). `depth` limits the number of levels.
+ * @returns {Q} -> descendants, breadth-first. They have their children loaded, so they also form a tree.
+ * @throws {MissyRelationError} when the relation is not self-referencing
+ * @throws {MissyRelationError} on cycles (promised)
+ */
+hasOne.prototype.loadDescendants = Q.fbind(function(entity, fields, sort, options){
+    var self = this,
+        root = _.extend({}, entity);
+    options = options || {};
+
+    return loadRecursive(self, [root], fields, sort, _.omit(options, 'recursive', 'depth'), options.depth || Infinity)
+        .then(function(){
+            var descendants = [],
+                level = [root];
+            while (level.length){
+                level = _.compact(_.flatten(_.pluck(_.filter(level, function(entity){
+                    return _.has(entity, self.prop); // the last level has no children loaded
+                }), self.prop), true));
+                descendants.push.apply(descendants, level);
+            }
+            return descendants;
+        });
+});
+
+/** Detach the related entities: set their foreign keys to `null`. They are kept.
+ * @param {Array.<Object>} entities
+ * @param {Object?} options
+ *      Driver-specific options for the related updateQuery()
+ * @returns {Q} -> entities
+ */
+hasOne.prototype.nullifyRelated = function(entities, options){
+    var self = this,
+        foreignFields = self._nullifyFields()
         ;
 
     return Q()
         .then(function(){
-            if (hostFields.length === 1){
-                // Can just search by PK
-                var criteria = {};
-                criteria[ foreignFields[0] ] = { $in: _.pluck(entities, hostFields[0]) };
-                return self.foreign.removeQuery(criteria, options);
-            } else {
-                // FIXME: when used on N fields, it needs too many queries. Fix that with $or when the support for it jumps in
+            var nulls = _.object(foreignFields, _.map(foreignFields, _.constant(null)));
+            return self.foreign.updateQuery(self._foreignCriteria(entities), { $set: nulls }, _.extend({}, options, { multi: true }))
+                .catch(function(e){
+                    if (!(e instanceof errors.EntityNotFound)) // nothing to detach
+                        throw e;
+                });
+        })
+        .thenResolve(entities);
+};
+
+/** Get the foreign fields that nullifyRelated() sets to `null`
+ * @returns {Array.<String>}
+ * @protected
+ */
+hasOne.prototype._nullifyFields = function(){
+    return _.values(this.fields);
+};
+
+/** Make sure the entities have no related entities
+ * @param {Array.<Object>} entities
+ * @param {Object?} options
+ *      Driver-specific options for the related count()
+ * @returns {Q} -> entities
+ * @throws {MissyRelationError} when related entities exist (promised)
+ */
+hasOne.prototype.restrictRelated = function(entities, options){
+    var self = this;
+
+    return Q()
+        .then(function(){
+            return self.foreign.count(self._foreignCriteria(entities), options);
+        })
+        .then(function(count){
+            if (count)
+                throw new errors.MissyRelationError(self, 'Related entities exist in `' + self.prop + '`: ' + count);
+        })
+        .thenResolve(entities);
+};
+
+/** Count the related entities, and assign the numbers to the entities.
+ * Makes a single grouped aggregate() query, or a count() query per entity when the driver does not support aggregation.
+ * @param {Array.<Object>} entities
+ * @param {Object?} criteria
+ *      Additional criteria for the related entities
+ * @param {Object?} options
+ *      Driver-specific options for the aggregate() or count() queries, and:
+ * @param {String?} options.property
+ *      The property to assign the numbers to. Default: the relation name + 'Count'
+ * @returns {Q} -> entities
+ */
+hasOne.prototype.countRelated = Q.fbind(function(entities, criteria, options){
+    var self = this,
+        hostFields = _.keys(self.fields),
+        foreignFields = _.values(self.fields),
+        property = (options && options.property) || self.prop + 'Count'
+        ;
+    options = _.omit(options || {}, 'property');
+
+    // Helpers
+    var relatedCriteria = function(entities){
+        var foreignCriteria = self._foreignCriteria(entities);
+        return _.isEmpty(criteria)? foreignCriteria : { $and: [ foreignCriteria, criteria ] };
+    };
+
+    /** Lookup hash table which maps foreign entity identities to the number of related entities
+     * @type {Object.<String, Number>}
+     */
+    var counts = {};
 
-                // Load them all & remove
-                return self.model.loadRelated(_.map(entities, _.clone), self.prop )
-                    .then(function(entities){
-                        var relatedEntities = _.flatten(_.compact(_.pluck(entities, self.prop)), true);
-                        return self.foreign.remove(relatedEntities);
+    return Q()
+        // Count
+        .then(function(){
+            // Grouped count
+            if (_.isFunction(self.foreign.schema.driver.aggregate))
+                return self.foreign.aggregate(relatedCriteria(entities), { group: foreignFields, accumulators: { count: { $count: true } } }, options)
+                    .then(function(rows){
+                        _.each(rows, function(row){
+                            counts[ entityId(row, foreignFields) ] = row.count;
+                        });
                     });
-            }
+
+            // A count per entity
+            return Q.all(
+                _(entities).chain()
+                    .filter(function(entity){ return hasKey(entity, hostFields); })
+                    .uniq(function(entity){ return entityId(entity, hostFields); })
+                    .map(function(entity){
+                        return self.foreign.count(relatedCriteria([entity]), options)
+                            .then(function(count){
+                                counts[ entityId(entity, hostFields) ] = count;
+                            });
+                    })
+                    .value()
+            );
+        })
+        // Assign
+        .then(function(){
+            _.each(entities, function(entity){
+                entity[property] = counts[ entityId(entity, hostFields) ] || 0;
+            });
         })
         .thenResolve(entities);
+});
+
+
+
+
+
+
+/** Check the referential integrity: find the foreign entities that reference missing entities of the current model
+ * @param {Object?} options
+ *      Options for the check: `fix`, `batchSize`
+ * @returns {Q} -> Array.<IntegrityReport>
+ */
+hasOne.prototype.checkIntegrity = function(options){
+    var self = this,
+        hostFields = _.keys(self.fields),
+        foreignFields = _.values(self.fields)
+        ;
+
+    return checkOrphans(self, self.foreign, foreignFields, undefined, function(entities){
+        return missingParents(entities, foreignFields, self.model, hostFields);
+    }, options)
+        .then(function(report){
+            return [report];
+        });
 };
 
 
@@ -290,23 +811,657 @@ var hasMany = exports.hasMany = function(model, prop, foreign, fields){
 };
 hasMany.prototype.arrayRelation = true;
 
+hasMany.prototype._foreignCriteria = hasOne.prototype._foreignCriteria;
 hasMany.prototype.loadRelated = hasOne.prototype.loadRelated;
 hasMany.prototype.saveRelated = hasOne.prototype.saveRelated;
 hasMany.prototype.removeRelated = hasOne.prototype.removeRelated;
+hasMany.prototype.loadAncestors = hasOne.prototype.loadAncestors;
+hasMany.prototype.loadDescendants = hasOne.prototype.loadDescendants;
+hasMany.prototype.nullifyRelated = hasOne.prototype.nullifyRelated;
+hasMany.prototype.restrictRelated = hasOne.prototype.restrictRelated;
+hasMany.prototype.countRelated = hasOne.prototype.countRelated;
+hasMany.prototype.checkIntegrity = hasOne.prototype.checkIntegrity;
+
+
+
+
+
+
+/** "Belongs to": this model references a parent (owner) model through common fields
+ * Unlike hasOne, the parent is not owned by this model:
+ * saving saves the parent first and copies its key into this entity, removing detaches this entity from the parent.
+ * @param {Model} model
+ *      The current model
+ * @param {String} prop
+ *      The property name to store the parent entity to
+ * @param {Model} foreign
+ *      The parent model
+ * @param {String|Array.<String>|Object} fields
+ *      The matching field names:
+ *      | Object:   local (foreign key) field names mapped to parent field names
+ * @param {Object?} options
+ *      Relation options, same as with hasOne. The scope applies to the parent.
+ *      `onRemove` can only be 'ignore': removing the entities never touches the parents.
+ *      Define it on the parent's hasOne or hasMany relation instead.
+ * @constructor
+ * @implements {IMissyRelation}
+ * @throws {MissyRelationError} on `onRemove` behaviors other than 'ignore'
+ */
+var belongsTo = exports.belongsTo = function(model, prop, foreign, fields, options){
+    hasOne.call(this, model, prop, foreign, fields, options);
+
+    if (this.onRemove !== 'ignore')
+        throw new errors.MissyRelationError(this, 'Unsupported onRemove behavior: ' + this.onRemove);
+};
+belongsTo.prototype.arrayRelation = false;
+belongsTo.prototype.savedBefore = true;
+
+belongsTo.prototype._foreignCriteria = hasOne.prototype._foreignCriteria;
+belongsTo.prototype.loadRelated = hasOne.prototype.loadRelated;
+
+/** Save the parent entities, and copy their keys into the given entities.
+ * When the property is `null`, the entity is detached: its foreign key is set to `null`.
+ * @param {Array.<Object>} entities
+ * @param {Object?} options
+ * @returns {Q} -> entities
+ */
+belongsTo.prototype.saveRelated = function(entities, options){
+    var self = this,
+        localFields = _.keys(self.fields),
+        foreignFields = _.values(self.fields)
+        ;
+
+    // Entities with parents
+    var children = _.filter(entities, function(entity){
+        return !_.isEmpty(entity[self.prop]);
+    });
+
+    return Q()
+        // Save the parents
+        .then(function(){
+            return self.foreign.save(_.pluck(children, self.prop), options); // -> parents
+        })
+        // Copy the keys
+        .then(function(parents){
+            _.each(children, function(entity, i){
+                _.extend(entity, _.object(localFields, _.values(_.pick(parents[i], foreignFields))));
+            });
+            _.each(entities, function(entity){
+                if (_.isNull(entity[self.prop]))
+                    _.extend(entity, _.object(localFields, _.map(localFields, _.constant(null))));
+            });
+        })
+        .thenResolve(entities);
+};
+
+/** Detach the entities from their parents: set the foreign keys to `null`. The parents are kept.
+ * @param {Array.<Object>} entities
+ * @param {Object?} options
+ *      Driver-specific options for the updateQuery() on the current model
+ * @returns {Q} -> entities
+ */
+belongsTo.prototype.removeRelated = function(entities, options){
+    return detach(this.model, entities, _.keys(this.fields), options);
+};
+
+/** Check the referential integrity: find the entities that reference missing parents
+ * @param {Object?} options
+ *      Options for the check: `fix`, `batchSize`
+ * @returns {Q} -> Array.<IntegrityReport>
+ */
+belongsTo.prototype.checkIntegrity = function(options){
+    var self = this,
+        localFields = _.keys(self.fields),
+        foreignFields = _.values(self.fields)
+        ;
+
+    return checkOrphans(self, self.model, localFields, undefined, function(entities){
+        return missingParents(entities, localFields, self.foreign, foreignFields);
+    }, options)
+        .then(function(report){
+            return [report];
+        });
+};
 
 
 
 
 
 
-///** "Has one": this model references multiple foreign models through an intermediary model
-// * @param {Model} model
-// *      The current model
-// * @param {Model} foreign
-// *      The foreign model
-// * @constructor
-// * @implements {IMissyRelation}
-// */
-//var manyMany = exports.manyMany = function(model, foreign){
-//};
-// TODO: manyMany relation.
+/** "Has many through": this model references multiple foreign models through an intermediary (join) model
+ * @param {Model} model
+ *      The current model
+ * @param {String} prop
+ *      The property name to store the related entities to
+ * @param {Model} foreign
+ *      The foreign model
+ * @param {Model} through
+ *      The intermediary model that stores the links: one entity per link
+ * @param {String|Array.<String>|Object} localFields
+ *      The current model field names matched with the intermediary model fields:
+ *      | String:   a common field name
+ *      | Array:    multiple common field names
+ *      | Object:   local field names mapped to intermediary field names
+ * @param {String|Array.<String>|Object} foreignFields
+ *      The foreign model field names matched with the intermediary model fields:
+ *      | Object:   foreign field names mapped to intermediary field names
+ *
+ * @property {Model} through
+ * @property {Object.<String,String>} localFields
+ * @property {Object.<String,String>} foreignFields
+ *
+ * @constructor
+ * @implements {IMissyRelation}
+ */
+var hasManyThrough = exports.hasManyThrough = function(model, prop, foreign, through, localFields, foreignFields){
+    this.model = model;
+    this.prop = prop;
+    this.foreign = foreign;
+    this.through = through;
+    this.localFields = hasOne._prepareFields(localFields);
+    this.foreignFields = hasOne._prepareFields(foreignFields);
+
+    // Links: the current model to the intermediary one, the intermediary model to the foreign one.
+    // These also check the models & fields
+    this._local = new hasMany(model, prop, through, this.localFields);
+    this._foreign = new hasOne(through, prop, foreign, _.invert(this.foreignFields));
+};
+hasManyThrough.prototype.arrayRelation = true;
+
+hasManyThrough.prototype.loadRelated = Q.fbind(function(entities, fields, sort, options){
+    var self = this,
+        localFields = _.keys(self.localFields),
+        foreignFields = _.keys(self.foreignFields),
+        throughLocalFields = _.values(self.localFields),
+        throughForeignFields = _.values(self.foreignFields)
+        ;
+
+    // Arguments test
+    if (fields){
+        fields = new u.MissyProjection(fields);
+        if (!fields.includesFields( foreignFields ))
+            throw new errors.MissyRelationError(this, 'Projection drops foreign keys');
+    }
+
+    // Prepare array properties
+    _.each(entities, function(entity){
+        entity[self.prop] = [];
+    });
+
+    /** Lookup hash table which maps local entity identities to local entities
+     * @type {Object.<String, Array.<Object>>}
+     */
+    var hosts = {};
+
+    /** Lookup hash table which maps foreign entity identities to local entity identities
+     * @type {Object.<String, Array.<String>>}
+     */
+    var links = {};
+
+    return Q()
+        // Make up the lookup hash table
+        .then(function(){
+            _.each(entities, function(entity){
+                var id = entityId(entity, localFields);
+                if (!(id in hosts))
+                    hosts[id] = [];
+                hosts[id].push(entity);
+            });
+        })
+        // Find the links
+        .then(function(){
+            return self.through.find(self._local._foreignCriteria(entities)); // -> links
+        })
+        // Find the related entities
+        .then(function(throughEntities){
+            _.each(throughEntities, function(link){
+                var id = entityId(link, throughForeignFields);
+                if (!(id in links))
+                    links[id] = [];
+                links[id].push(entityId(link, throughLocalFields));
+            });
+
+            if (!throughEntities.length)
+                return [];
+            return self.foreign.find(self._foreign._foreignCriteria(throughEntities), fields, sort, options); // -> entities
+        })
+        // Distribute the found related entities
+        .then(function(relatedEntities){
+            _.each(relatedEntities, function(related){
+                _.each(_.uniq(links[ entityId(related, foreignFields) ]), function(id){
+                    _.each(hosts[id], function(hostEntity){
+                        hostEntity[self.prop].push(related);
+                    });
+                });
+            });
+        }).thenResolve(entities);
+});
+
+/** Save the related entities, and sync the links: missing links are created, the stale ones are removed.
+ * @param {Array.<Object>} entities
+ * @param {Object?} options
+ * @returns {Q} -> entities
+ */
+hasManyThrough.prototype.saveRelated = function(entities, options){
+    var self = this,
+        localFields = _.keys(self.localFields),
+        foreignFields = _.keys(self.foreignFields),
+        throughLocalFields = _.values(self.localFields),
+        throughForeignFields = _.values(self.foreignFields),
+        throughFields = throughLocalFields.concat(throughForeignFields)
+        ;
+
+    /** The links to keep
+     * @type {Array.<Object>}
+     */
+    var links = [];
+
+    return Q()
+        // Save the related entities
+        .then(function(){
+            return self.foreign.save(
+                _.flatten(_.map(entities, function(entity){
+                    return entity[self.prop] || [];
+                }), true),
+                options
+            ); // -> entities
+        })
+        // Make up the links
+        .then(function(relatedEntities){
+            var i = 0;
+            _.each(entities, function(entity){
+                var local = _.object(throughLocalFields, _.values(_.pick(entity, localFields)));
+                _.each(entity[self.prop] || [], function(){
+                    var related = relatedEntities[i++];
+                    links.push(_.extend(
+                        _.object(throughForeignFields, _.values(_.pick(related, foreignFields))),
+                        local
+                    ));
+                });
+            });
+            links = _.uniq(links, function(link){
+                return entityId(link, throughFields);
+            });
+        })
+        // Remove the stale links
+        .then(function(){
+            var criteria = self._local._foreignCriteria(entities);
+            if (links.length)
+                criteria = { $and: [ criteria, { $nor: _.map(links, function(link){
+                    return _.pick(link, throughFields);
+                }) } ] };
+            return self.through.removeQuery(criteria, options);
+        })
+        // Insert the missing links
+        .then(function(){
+            return self.through.find(self._local._foreignCriteria(entities));
+        })
+        .then(function(existing){
+            var ids = _.indexBy(existing, function(link){
+                return entityId(link, throughFields);
+            });
+            return self.through.insert(_.reject(links, function(link){
+                return _.has(ids, entityId(link, throughFields));
+            }), options);
+        })
+        .thenResolve(entities);
+};
+
+/** Count the related entities, and assign the numbers to the entities.
+ * Without criteria, the links are counted with a single grouped query.
+ * With criteria, the links and the matching foreign keys are fetched, and counted in memory.
+ * @param {Array.<Object>} entities
+ * @param {Object?} criteria
+ *      Additional criteria for the related entities
+ * @param {Object?} options
+ *      Driver-specific options, and:
+ * @param {String?} options.property
+ *      The property to assign the numbers to. Default: the relation name + 'Count'
+ * @returns {Q} -> entities
+ */
+hasManyThrough.prototype.countRelated = Q.fbind(function(entities, criteria, options){
+    var self = this,
+        localFields = _.keys(self.localFields),
+        foreignFields = _.keys(self.foreignFields),
+        throughLocalFields = _.values(self.localFields),
+        throughForeignFields = _.values(self.foreignFields),
+        property = (options && options.property) || self.prop + 'Count'
+        ;
+
+    // Count the links
+    if (_.isEmpty(criteria))
+        return self._local.countRelated(entities, undefined, options);
+
+    /** Lookup hash table which maps local entity identities to the number of related entities
+     * @type {Object.<String, Number>}
+     */
+    var counts = {};
+
+    return Q()
+        // Find the links
+        .then(function(){
+            return self.through.find(self._local._foreignCriteria(entities)); // -> links
+        })
+        // Find the matching foreign keys
+        .then(function(links){
+            if (!links.length)
+                return;
+            return self.foreign.find(
+                { $and: [ self._foreign._foreignCriteria(links), criteria ] },
+                _.object(foreignFields, _.map(foreignFields, _.constant(1))),
+                undefined,
+                _.omit(options || {}, 'property')
+            )
+                .then(function(relatedEntities){
+                    var matching = _.object(_.map(relatedEntities, function(related){
+                        return [ entityId(related, foreignFields), true ];
+                    }));
+
+                    _.each(links, function(link){
+                        if (!matching[ entityId(link, throughForeignFields) ])
+                            return;
+                        var id = entityId(link, throughLocalFields);
+                        counts[id] = (counts[id] || 0) + 1;
+                    });
+                });
+        })
+        // Assign
+        .then(function(){
+            _.each(entities, function(entity){
+                entity[property] = counts[ entityId(entity, localFields) ] || 0;
+            });
+        })
+        .thenResolve(entities);
+});
+
+/** Remove the links. The foreign entities are kept, as other entities can link to them.
+ * @param {Array.<Object>} entities
+ * @param {Object?} options
+ * @returns {Q} -> entities
+ */
+hasManyThrough.prototype.removeRelated = function(entities, options){
+    var self = this;
+
+    return Q()
+        .then(function(){
+            return self.through.removeQuery(self._local._foreignCriteria(entities), options);
+        })
+        .thenResolve(entities);
+};
+
+/** Check the referential integrity: find the links that reference missing entities of the current model,
+ * and the links that reference missing foreign entities
+ * @param {Object?} options
+ *      Options for the check: `fix`, `batchSize`
+ * @returns {Q} -> Array.<IntegrityReport>
+ */
+hasManyThrough.prototype.checkIntegrity = function(options){
+    var self = this,
+        foreignFields = _.keys(self.foreignFields),
+        throughForeignFields = _.values(self.foreignFields)
+        ;
+
+    return self._local.checkIntegrity(options)
+        .then(function(reports){
+            return checkOrphans(self, self.through, throughForeignFields, undefined, function(entities){
+                return missingParents(entities, throughForeignFields, self.foreign, foreignFields);
+            }, options)
+                .then(function(report){
+                    return reports.concat([report]);
+                });
+        });
+};
+
+
+
+
+
+
+/** Polymorphic "Belongs to": this model references a parent entity of any model.
+ * The parent model name is stored in the type field, and is resolved with `schema.models`.
+ * @param {Model} model
+ *      The current model
+ * @param {String} prop
+ *      The property name to store the parent entity to
+ * @param {String} typeField
+ *      The local field that holds the parent model name
+ * @param {String|Array.<String>|Object} fields
+ *      The matching field names:
+ *      | Object:   local (foreign key) field names mapped to parent field names
+ *
+ * @property {String} typeField
+ * @property {Object.<String,String>} fields
+ *
+ * @constructor
+ * @implements {IMissyRelation}
+ */
+var morphTo = exports.morphTo = function(model, prop, typeField, fields){
+    this.model = model;
+    this.prop = prop;
+    this.foreign = undefined; // depends on the entity
+    this.typeField = typeField;
+    this.fields = hasOne._prepareFields(fields);
+
+    // Check
+    var unknownFields = _.difference([typeField].concat(_.keys(this.fields)), _.keys(model.fields));
+    if (unknownFields.length)
+        throw new errors.MissyRelationError(this, 'Unknown source fields in relation: ' + unknownFields.join(', '));
+};
+morphTo.prototype.arrayRelation = false;
+morphTo.prototype.savedBefore = true;
+
+/** Get the relation to the parent model of the given type
+ * @param {String} type
+ *      The parent model name
+ * @returns {belongsTo}
+ * @throws {MissyRelationError} Unknown model
+ * @protected
+ */
+morphTo.prototype._typeRelation = function(type){
+    var foreign = this.model.schema.models[type];
+    if (_.isUndefined(foreign))
+        throw new errors.MissyRelationError(this, 'Unknown model in the type field: ' + type);
+    return new belongsTo(this.model, this.prop, foreign, this.fields);
+};
+
+/** Group the entities by the type field, skipping the untyped ones
+ * @param {Array.<Object>} entities
+ * @returns {Object.<String, Array.<Object>>}
+ * @protected
+ */
+morphTo.prototype._groupByType = function(entities){
+    var self = this;
+    return _.groupBy(
+        _.filter(entities, function(entity){
+            return !_.isEmpty(entity[self.typeField]);
+        }),
+        self.typeField
+    );
+};
+
+/** Load the parent entities: one query per type
+ * @param {Array.<Object>} entities
+ * @param {Object|MissyProjection?} fields
+ * @param {Object|Array|MissySort?} sort
+ * @param {Object?} options
+ * @returns {Q} -> entities
+ */
+morphTo.prototype.loadRelated = Q.fbind(function(entities, fields, sort, options){
+    var self = this;
+
+    _.each(entities, function(entity){
+        entity[self.prop] = undefined;
+    });
+
+    return Q.all(
+        _.map(self._groupByType(entities), function(entities, type){
+            return self._typeRelation(type).loadRelated(entities, fields, sort, options);
+        })
+    ).thenResolve(entities);
+});
+
+/** Save the parent entities, and copy their keys into the given entities.
+ * The type field should be set for the entities with parents.
+ * When the property is `null`, the entity is detached: its foreign key and type are set to `null`.
+ * @param {Array.<Object>} entities
+ * @param {Object?} options
+ * @returns {Q} -> entities
+ */
+morphTo.prototype.saveRelated = Q.fbind(function(entities, options){
+    var self = this;
+
+    // Entities with parents
+    var children = _.filter(entities, function(entity){
+        return !_.isEmpty(entity[self.prop]);
+    });
+    if (_.any(children, function(entity){ return _.isEmpty(entity[self.typeField]); }))
+        throw new errors.MissyRelationError(self, 'Cannot save a parent entity with an empty type field: ' + self.typeField);
+
+    // Detach
+    _.each(entities, function(entity){
+        if (_.isNull(entity[self.prop]))
+            _.each([self.typeField].concat(_.keys(self.fields)), function(fieldName){
+                entity[fieldName] = null;
+            });
+    });
+
+    return Q.all(
+        _.map(self._groupByType(children), function(entities, type){
+            return self._typeRelation(type).saveRelated(entities, options);
+        })
+    ).thenResolve(entities);
+});
+
+/** Detach the entities from their parents: set the foreign keys and the type to `null`. The parents are kept.
+ * @param {Array.<Object>} entities
+ * @param {Object?} options
+ *      Driver-specific options for the updateQuery() on the current model
+ * @returns {Q} -> entities
+ */
+morphTo.prototype.removeRelated = function(entities, options){
+    return detach(this.model, entities, [this.typeField].concat(_.keys(this.fields)), options);
+};
+
+/** Check the referential integrity: find the entities that reference missing parents, or unknown models
+ * @param {Object?} options
+ *      Options for the check: `fix`, `batchSize`
+ * @returns {Q} -> Array.<IntegrityReport>
+ */
+morphTo.prototype.checkIntegrity = function(options){
+    var self = this,
+        localFields = _.keys(self.fields),
+        foreignFields = _.values(self.fields)
+        ;
+
+    return checkOrphans(self, self.model, [self.typeField].concat(localFields), undefined, function(entities){
+        return Q.all(
+            _.map(self._groupByType(entities), function(entities, type){
+                var parent = self.model.schema.models[type];
+                return parent
+                    ? missingParents(entities, localFields, parent, foreignFields)
+                    : entities;
+            })
+        ).then(function(orphans){
+            return _.flatten(orphans, true);
+        });
+    }, options)
+        .then(function(report){
+            return [report];
+        });
+};
+
+
+
+
+
+
+/** Polymorphic "Has many": this model is referenced by multiple foreign entities through common fields and a type field.
+ * The type field of the foreign entities holds the name of the current model.
+ * @param {Model} model
+ *      The current model
+ * @param {String} prop
+ *      The property name to store the related entities to
+ * @param {Model} foreign
+ *      The foreign model
+ * @param {String} typeField
+ *      The foreign field that holds the model name
+ * @param {String|Array.<String>|Object} fields
+ *      The matching field names
+ * @param {String?} type
+ *      The type field value. Default: the current model name
+ * @param {Object?} options
+ *      Relation options, same as with hasOne. 'nullify' also sets the type field to `null`.
+ *
+ * @property {String} typeField
+ * @property {String} type
+ *
+ * @constructor
+ * @implements {IMissyRelation}
+ */
+var morphMany = exports.morphMany = function(model, prop, foreign, typeField, fields, type, options){
+    hasOne.call(this, model, prop, foreign, fields, options);
+    this.typeField = typeField;
+    this.type = type || model.name;
+
+    // Check
+    if (!(typeField in foreign.fields))
+        throw new errors.MissyRelationError(this, 'Unknown target fields in relation: ' + typeField);
+};
+morphMany.prototype.arrayRelation = true;
+
+/** Make up the foreign model criteria that matches the entities related to the given ones, of the current type
+ * @param {Array.<Object>} entities
+ *      Local entities
+ * @returns {Object} for MissyCriteria
+ * @protected
+ */
+morphMany.prototype._foreignCriteria = function(entities){
+    var criteria = hasOne.prototype._foreignCriteria.call(this, entities);
+    criteria[this.typeField] = this.type;
+    return criteria;
+};
+
+morphMany.prototype.loadRelated = hasOne.prototype.loadRelated;
+
+/** Save the related entities: sets the type field on them
+ * @param {Array.<Object>} entities
+ * @param {Object?} options
+ * @returns {Q} -> entities
+ */
+morphMany.prototype.saveRelated = function(entities, options){
+    var self = this;
+    _.each(entities, function(entity){
+        _.each(_.isArray(entity[self.prop])? entity[self.prop] : [], function(related){
+            related[self.typeField] = self.type;
+        });
+    });
+    return hasOne.prototype.saveRelated.call(this, entities, options);
+};
+
+morphMany.prototype.removeRelated = hasOne.prototype.removeRelated;
+morphMany.prototype.nullifyRelated = hasOne.prototype.nullifyRelated;
+morphMany.prototype.restrictRelated = hasOne.prototype.restrictRelated;
+morphMany.prototype.countRelated = hasOne.prototype.countRelated;
+
+morphMany.prototype._nullifyFields = function(){
+    return hasOne.prototype._nullifyFields.call(this).concat([ this.typeField ]);
+};
+
+/** Check the referential integrity: find the foreign entities of the current type that reference missing entities
+ * @param {Object?} options
+ *      Options for the check: `fix`, `batchSize`
+ * @returns {Q} -> Array.<IntegrityReport>
+ */
+morphMany.prototype.checkIntegrity = function(options){
+    var self = this,
+        hostFields = _.keys(self.fields),
+        foreignFields = _.values(self.fields)
+        ;
+
+    return checkOrphans(self, self.foreign, foreignFields, _.object([[ self.typeField, self.type ]]), function(entities){
+        return missingParents(entities, foreignFields, self.model, hostFields);
+    }, options)
+        .then(function(report){
+            return [report];
+        });
+};
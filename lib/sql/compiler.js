@@ -0,0 +1,518 @@
+'use strict';
+
+/** SQL compiler: turns Missy objects into parameterized SQL statements
+ * @fileOverview
+ */
+
+var _ = require('lodash'),
+    dialects = require('./dialects'),
+    errors = require('../errors'),
+    u = require('../util')
+    ;
+
+
+
+/** A statement being compiled: collects the parameter values
+ * @param {Compiler} compiler
+ * @param {Model} model
+ * @constructor
+ */
+var Statement = function(compiler, model){
+    this.dialect = compiler.dialect;
+    this.model = model;
+    this.values = [];
+};
+
+/** Add a parameter
+ * @param {*} value
+ * @returns {String} The placeholder
+ */
+Statement.prototype.param = function(value){
+    this.values.push(value);
+    return this.dialect.placeholder(this.values.length);
+};
+
+/** Fail on something the SQL compiler can't express
+ * @param {String} what
+ * @throws {MissyModelError}
+ */
+Statement.prototype.unsupported = function(what){
+    throw new errors.MissyModelError(this.model, 'SQL ' + this.dialect.name + ': ' + what + ' is not supported');
+};
+
+/** Finish the statement
+ * @param {Array.<String>} parts
+ *      SQL parts, empty ones are skipped
+ * @returns {{ text: String, values: Array }}
+ */
+Statement.prototype.finish = function(parts){
+    return {
+        text: _.compact(parts).join(' '),
+        values: this.values
+    };
+};
+
+
+
+/** SQL compiler for a dialect.
+ * Turns a Model and the normalized Missy objects into parameterized SQL statements: { text: String, values: Array }.
+ *
+ * Fields are columns of the model table. Dot-notation paths into nested fields are JSON paths into a column.
+ * The values are used as is: convert the entities with the model before compiling.
+ *
+ * @param {String|Dialect} dialect
+ *      Dialect name: 'postgres', 'mysql', 'sqlite', or a Dialect object
+ *
+ * @property {Dialect} dialect
+ *
+ * @constructor
+ * @throws {MissyError} on unknown dialect
+ */
+var Compiler = exports.Compiler = function(dialect){
+    if (_.isString(dialect)){
+        if (!_.has(dialects.dialects, dialect))
+            throw new errors.MissyError('Unknown SQL dialect: ' + dialect);
+        dialect = new dialects.dialects[dialect]();
+    }
+    this.dialect = dialect;
+};
+
+//region Expressions
+
+/** Get the table name
+ * @param {Model} model
+ * @returns {String}
+ * @protected
+ */
+Compiler.prototype._table = function(model){
+    return this.dialect.quoteIdentifier(model.options.table);
+};
+
+/** Get a field expression
+ * @param {String} fieldName
+ *      Field name, or a dot-notation path into a JSON column
+ * @returns {String}
+ * @protected
+ */
+Compiler.prototype._field = function(fieldName){
+    var path = fieldName.split('.'),
+        column = this.dialect.quoteIdentifier(path[0]);
+    return (path.length > 1)
+        ? this.dialect.jsonField(column, path.slice(1))
+        : column;
+};
+
+/** Get the expressions of a tested field
+ * @param {String} fieldName
+ *      Field name, or a dot-notation path into a JSON column
+ * @returns {{ expr: String, json: String? }}
+ *      `expr`: the field expression.
+ *      `json`: the JSON value expression of a nested field, when the dialect compares them with JSON-encoded parameters
+ * @protected
+ */
+Compiler.prototype._testedField = function(fieldName){
+    var path = fieldName.split('.');
+    return {
+        expr: this._field(fieldName),
+        json: (path.length > 1)? this.dialect.jsonValue(this.dialect.quoteIdentifier(path[0]), path.slice(1)) : undefined
+    };
+};
+
+/** Escape a string for use in a LIKE pattern
+ * @param {String} str
+ * @returns {String}
+ */
+var escapeLike = function(str){
+    return String(str).replace(/[\\%_]/g, '\\$&');
+};
+
+/** Compile a criteria
+ * @param {Statement} stmt
+ * @param {Object} criteria
+ *      Normalized criteria
+ * @returns {String} The condition. Empty criteria is true.
+ * @protected
+ */
+Compiler.prototype._criteria = function(stmt, criteria){
+    var self = this;
+    var conditions = _.map(criteria, function(test, fieldName){
+        var join = function(glue){
+            return '(' + _.map(test, function(criteria){
+                return self._criteria(stmt, criteria);
+            }).join(glue) + ')';
+        };
+        switch (fieldName){
+            case '$or': return test.length? join(' OR ') : self.dialect.bool(false);
+            case '$and': return test.length? join(' AND ') : self.dialect.bool(true);
+            case '$nor': return test.length? 'NOT ' + join(' OR ') : self.dialect.bool(true);
+        }
+        return self._test(stmt, self._testedField(fieldName), test);
+    });
+
+    switch (conditions.length){
+        case 0: return this.dialect.bool(true);
+        case 1: return conditions[0];
+        default: return conditions.join(' AND ');
+    }
+};
+
+/** Compile a field test
+ * @param {Statement} stmt
+ * @param {{ expr: String, json: String? }} field
+ *      The field expressions: see _testedField()
+ * @param {Object} test
+ *      Normalized field test: { $operator: operand, ... }
+ * @returns {String}
+ * @protected
+ */
+Compiler.prototype._test = function(stmt, field, test){
+    var conditions = _.compact(_.map(test, function(operand, operator){
+        return this._operator(stmt, field, operator, operand, test.$options);
+    }, this));
+    return (conditions.length > 1)
+        ? '(' + conditions.join(' AND ') + ')'
+        : conditions[0] || this.dialect.bool(true);
+};
+
+/** Compile an operator.
+ * A missing field is NULL, and the operators treat it the way MissyCriteria.matchOperator() does.
+ * Comparisons use the JSON value of the field when there is one, the NULL tests and the pattern operators use the field expression.
+ * @param {Statement} stmt
+ * @param {{ expr: String, json: String? }} field
+ *      The field expressions: see _testedField()
+ * @param {String} operator
+ * @param {*} operand
+ * @param {String?} options
+ *      Flags for the pattern operators: { $options }
+ * @returns {String?}
+ * @protected
+ */
+Compiler.prototype._operator = function(stmt, field, operator, operand, options){
+    var self = this,
+        dialect = this.dialect,
+        expr = field.expr,
+        value = field.json || expr,
+        ignoreCase = /i/.test(options || ''),
+        isNull = function(value){ return _.isNull(value) || _.isUndefined(value); },
+        param = function(operand){
+            return field.json
+                ? dialect.jsonParam(stmt.param(JSON.stringify(operand)))
+                : stmt.param(operand);
+        },
+        list = function(values){
+            return '(' + _.map(values, param).join(', ') + ')';
+        };
+
+    var values, nulls;
+    switch (operator){
+        case '$eq':
+            return isNull(operand)? expr + ' IS NULL' : value + ' = ' + param(operand);
+        case '$ne':
+            return isNull(operand)? expr + ' IS NOT NULL' : '(' + value + ' <> ' + param(operand) + ' OR ' + expr + ' IS NULL)';
+        case '$gt': return value + ' > ' + param(operand);
+        case '$gte': return value + ' >= ' + param(operand);
+        case '$lt': return value + ' < ' + param(operand);
+        case '$lte': return value + ' <= ' + param(operand);
+        case '$in':
+            values = _.reject(operand, isNull);
+            nulls = values.length < operand.length;
+            if (!values.length)
+                return nulls? expr + ' IS NULL' : dialect.bool(false);
+            return nulls
+                ? '(' + value + ' IN ' + list(values) + ' OR ' + expr + ' IS NULL)'
+                : value + ' IN ' + list(values);
+        case '$nin':
+            values = _.reject(operand, isNull);
+            nulls = values.length < operand.length;
+            if (!values.length)
+                return nulls? expr + ' IS NOT NULL' : dialect.bool(true);
+            return nulls
+                ? value + ' NOT IN ' + list(values)
+                : '(' + value + ' NOT IN ' + list(values) + ' OR ' + expr + ' IS NULL)';
+        case '$exists':
+            return expr + (operand? ' IS NOT NULL' : ' IS NULL');
+        case '$not':
+            return 'NOT COALESCE(' + self._test(stmt, field, operand) + ', ' + dialect.bool(false) + ')';
+        case '$regex':
+            return (operand instanceof RegExp)
+                ? dialect.regex(expr, stmt.param(operand.source), operand.ignoreCase || ignoreCase)
+                : dialect.regex(expr, stmt.param(String(operand)), ignoreCase);
+        case '$like':
+            return dialect.like(expr, stmt.param(String(operand).replace(/\\/g, '\\\\')), ignoreCase);
+        case '$startsWith':
+            return dialect.like(expr, stmt.param(escapeLike(operand) + '%'), ignoreCase);
+        case '$endsWith':
+            return dialect.like(expr, stmt.param('%' + escapeLike(operand)), ignoreCase);
+        case '$options':
+            return undefined; // see the pattern operators
+        case '$size':
+            return dialect.arrayLength(value) + ' = ' + stmt.param(operand);
+    }
+    stmt.unsupported('operator ' + operator);
+};
+
+/** Compile the WHERE clause
+ * @param {Statement} stmt
+ * @param {MissyCriteria} criteria
+ * @returns {String}
+ * @protected
+ */
+Compiler.prototype._where = function(stmt, criteria){
+    return _.isEmpty(criteria.criteria)
+        ? ''
+        : 'WHERE ' + this._criteria(stmt, criteria.criteria);
+};
+
+/** Compile the ORDER BY clause
+ * @param {MissySort} sort
+ * @returns {String}
+ * @protected
+ */
+Compiler.prototype._orderBy = function(sort){
+    return _.isEmpty(sort.sort)
+        ? ''
+        : 'ORDER BY ' + _.map(sort.sort, function(dir, fieldName){
+            var field = this._testedField(fieldName);
+            return (field.json || field.expr) + (dir > 0? ' ASC' : ' DESC');
+        }, this).join(', ');
+};
+
+/** Compile the SET clause
+ * @param {Statement} stmt
+ * @param {MissyUpdate} update
+ * @returns {String}
+ * @throws {MissyModelError} on unsupported operators
+ * @protected
+ */
+Compiler.prototype._set = function(stmt, update){
+    var self = this,
+        dialect = this.dialect;
+
+    var assignments = _.flatten(_.map(update.update, function(fields, operator){
+        return _.compact(_.map(fields, function(value, fieldName){
+            if (fieldName.indexOf('.') !== -1)
+                stmt.unsupported('updating a nested field');
+            var column = self._field(fieldName);
+            switch (operator){
+                case '$set': return column + ' = ' + stmt.param(value);
+                case '$unset': return column + ' = NULL';
+                case '$setOnInsert': return undefined; // not an insert
+                case '$inc': return column + ' = COALESCE(' + column + ', 0) + ' + stmt.param(value);
+                case '$mul': return column + ' = COALESCE(' + column + ', 0) * ' + stmt.param(value);
+                case '$min':
+                case '$max':
+                    return column + ' = CASE WHEN ' + column + ' IS NULL OR ' + stmt.param(value) +
+                        (operator === '$min'? ' < ' : ' > ') + column + ' THEN ' + stmt.param(value) + ' ELSE ' + column + ' END';
+                case '$currentDate': return column + ' = ' + dialect.currentDate(value.$type);
+            }
+            stmt.unsupported('operator ' + operator);
+        }));
+    }));
+
+    if (!assignments.length)
+        stmt.unsupported('an empty update');
+    return 'SET ' + assignments.join(', ');
+};
+
+/** Compile the RETURNING clause
+ * @param {Object} options
+ * @returns {String}
+ * @protected
+ */
+Compiler.prototype._returning = function(options){
+    return (options.returning && this.dialect.returning)
+        ? 'RETURNING *'
+        : '';
+};
+
+//endregion
+
+//region Statements
+
+/** Compile SELECT
+ * @param {Model} model
+ * @param {MissyCriteria|Object?} criteria
+ * @param {MissyProjection|Object?} fields
+ *      Nested fields select the whole column
+ * @param {MissySort|Object?} sort
+ * @param {Object?} options
+ * @param {Number} [options.skip=0]
+ * @param {Number} [options.limit=0]
+ * @returns {{ text: String, values: Array }}
+ */
+Compiler.prototype.select = function(model, criteria, fields, sort, options){
+    var stmt = new Statement(this, model);
+    criteria = new u.MissyCriteria(model, criteria);
+    fields = new u.MissyProjection(fields);
+    sort = new u.MissySort(sort);
+    options = options || {};
+
+    var columns = _.uniq(_.map(fields.getFieldDetails(model).fields, function(fieldName){
+        return fieldName.split('.')[0];
+    }));
+
+    return stmt.finish([
+        'SELECT', _.map(columns, this.dialect.quoteIdentifier, this.dialect).join(', ') || '*',
+        'FROM', this._table(model),
+        this._where(stmt, criteria),
+        this._orderBy(sort),
+        this.dialect.limit(parseInt(options.skip) || 0, parseInt(options.limit) || 0)
+    ]);
+};
+
+/** Compile SELECT COUNT(*)
+ * @param {Model} model
+ * @param {MissyCriteria|Object?} criteria
+ * @returns {{ text: String, values: Array }} The statement selects the `count` column
+ */
+Compiler.prototype.count = function(model, criteria){
+    var stmt = new Statement(this, model);
+    criteria = new u.MissyCriteria(model, criteria);
+
+    return stmt.finish([
+        'SELECT COUNT(*) AS', this.dialect.quoteIdentifier('count'),
+        'FROM', this._table(model),
+        this._where(stmt, criteria)
+    ]);
+};
+
+/** Compile INSERT of multiple rows.
+ * The columns are the fields of all the entities: a field missing from an entity gets the column default.
+ * When the dialect can't express the column default (SQLite), all the entities must have the same fields.
+ * @param {Model} model
+ * @param {Array.<Object>} entities
+ *      The converted entities
+ * @param {Object?} options
+ * @param {Boolean} [options.returning=false]
+ *      Return the inserted rows, when the dialect supports it
+ * @returns {{ text: String, values: Array }}
+ * @throws {MissyModelError} when there's nothing to insert, or the entities have different fields and the dialect has no column default
+ */
+Compiler.prototype.insert = function(model, entities, options){
+    return this._insert(new Statement(this, model), model, entities, options || {});
+};
+
+/** Compile INSERT that updates the conflicting rows: UPSERT
+ * @param {Model} model
+ * @param {Array.<Object>} entities
+ *      The converted entities
+ * @param {Object?} options
+ * @param {Array.<String>} [options.conflict=model.options.pk]
+ *      The unique key fields. MySQL uses any conflicting unique key.
+ * @param {Boolean} [options.returning=false]
+ *      Return the inserted and updated rows, when the dialect supports it
+ * @returns {{ text: String, values: Array }}
+ * @throws {MissyModelError} when there's nothing to insert
+ */
+Compiler.prototype.upsert = function(model, entities, options){
+    options = options || {};
+    var conflict = [].concat(options.conflict || model.options.pk);
+    return this._insert(new Statement(this, model), model, entities, options, conflict);
+};
+
+/** Compile INSERT
+ * @param {Statement} stmt
+ * @param {Model} model
+ * @param {Array.<Object>} entities
+ * @param {Object} options
+ * @param {Array.<String>?} conflict
+ *      Upsert on this unique key
+ * @returns {{ text: String, values: Array }}
+ * @protected
+ */
+Compiler.prototype._insert = function(stmt, model, entities, options, conflict){
+    var self = this,
+        dialect = this.dialect;
+
+    entities = [].concat(entities);
+    var fieldNames = _.uniq(_.flatten(_.map(entities, function(entity){
+        return _.keys(_.omit(entity, _.isUndefined));
+    })));
+    if (!fieldNames.length)
+        stmt.unsupported('an empty insert');
+
+    var columns = _.map(fieldNames, dialect.quoteIdentifier, dialect),
+        rows = _.map(entities, function(entity){
+            return '(' + _.map(fieldNames, function(fieldName){
+                if (!_.isUndefined(entity[fieldName]))
+                    return stmt.param(entity[fieldName]);
+                return dialect.defaultValue() || stmt.unsupported('a multi-row insert of entities with different fields');
+            }).join(', ') + ')';
+        });
+
+    return stmt.finish([
+        'INSERT INTO', self._table(model), '(' + columns.join(', ') + ')',
+        'VALUES', rows.join(', '),
+        conflict && dialect.upsert(
+            _.map(conflict, dialect.quoteIdentifier, dialect),
+            _.map(_.difference(fieldNames, conflict), dialect.quoteIdentifier, dialect)
+        ),
+        self._returning(options)
+    ]);
+};
+
+/** Compile UPDATE
+ * @param {Model} model
+ * @param {MissyCriteria|Object?} criteria
+ * @param {MissyUpdate|Object} update
+ *      Nested fields and the array operators are not supported
+ * @param {Object?} options
+ * @param {Boolean} [options.multi=false]
+ *      Update all the matching rows, or just one
+ * @param {Boolean} [options.returning=false]
+ *      Return the updated rows, when the dialect supports it
+ * @returns {{ text: String, values: Array }}
+ * @throws {MissyModelError} on unsupported update operators
+ */
+Compiler.prototype.update = function(model, criteria, update, options){
+    var stmt = new Statement(this, model);
+    criteria = new u.MissyCriteria(model, criteria);
+    update = new u.MissyUpdate(model, update);
+    options = _.defaults(options || {}, { multi: false });
+
+    var parts = [
+        'UPDATE', this._table(model),
+        this._set(stmt, update)
+    ];
+
+    // Update all
+    if (options.multi)
+        parts.push(this._where(stmt, criteria));
+    // Update one
+    else if (this.dialect.updateLimit)
+        parts.push(this._where(stmt, criteria), this.dialect.limit(0, 1));
+    else {
+        var pk = _.map(model.options.pk, this.dialect.quoteIdentifier, this.dialect).join(', ');
+        parts.push('WHERE', (model.options.pk.length > 1)? '(' + pk + ')' : pk, 'IN', '(' + _.compact([
+            'SELECT', pk,
+            'FROM', this._table(model),
+            this._where(stmt, criteria),
+            this.dialect.limit(0, 1)
+        ]).join(' ') + ')');
+    }
+
+    parts.push(this._returning(options));
+    return stmt.finish(parts);
+};
+
+/** Compile DELETE
+ * @param {Model} model
+ * @param {MissyCriteria|Object?} criteria
+ * @param {Object?} options
+ * @param {Boolean} [options.returning=false]
+ *      Return the removed rows, when the dialect supports it
+ * @returns {{ text: String, values: Array }}
+ */
+Compiler.prototype.remove = function(model, criteria, options){
+    var stmt = new Statement(this, model);
+    criteria = new u.MissyCriteria(model, criteria);
+    options = options || {};
+
+    return stmt.finish([
+        'DELETE FROM', this._table(model),
+        this._where(stmt, criteria),
+        this._returning(options)
+    ]);
+};
+
+//endregion
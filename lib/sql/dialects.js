@@ -0,0 +1,344 @@
+'use strict';
+
+/** SQL dialects: the syntax that differs between the databases
+ * @fileOverview
+ */
+
+var _ = require('lodash'),
+    util = require('util')
+    ;
+
+
+
+/** Base SQL dialect: ANSI SQL
+ * @param {String} name
+ *      Dialect name
+ *
+ * @property {String} name
+ * @property {Boolean} returning
+ *      Whether INSERT, UPDATE and DELETE support the RETURNING clause
+ *
+ * @constructor
+ */
+var Dialect = exports.Dialect = function(name){
+    this.name = name;
+    this.returning = false;
+};
+
+Dialect.prototype.toString = function(){
+    return this.name;
+};
+
+/** Quote an identifier: a table or a column name
+ * @param {String} name
+ * @returns {String}
+ */
+Dialect.prototype.quoteIdentifier = function(name){
+    return '"' + String(name).replace(/"/g, '""') + '"';
+};
+
+/** Quote a string literal.
+ * Is only used for the strings that come from the model definition, like JSON paths: the values are always parameters.
+ * @param {String} str
+ * @returns {String}
+ */
+Dialect.prototype.quoteString = function(str){
+    return "'" + String(str).replace(/'/g, "''") + "'";
+};
+
+/** Get the placeholder for a parameter
+ * @param {Number} index
+ *      1-based parameter index
+ * @returns {String}
+ */
+Dialect.prototype.placeholder = function(index){
+    return '?';
+};
+
+/** Get a boolean literal
+ * @param {Boolean} value
+ * @returns {String}
+ */
+Dialect.prototype.bool = function(value){
+    return value? 'TRUE' : 'FALSE';
+};
+
+/** Get the expression of a nested JSON field
+ * @param {String} column
+ *      Quoted column name
+ * @param {Array.<String>} path
+ *      Path into the column: ['address', 'city']
+ * @returns {String}
+ */
+Dialect.prototype.jsonField = function(column, path){
+    return 'json_extract(' + column + ', ' + this.quoteString('$.' + path.join('.')) + ')';
+};
+
+/** Get the expression of a nested JSON field to compare and sort as a JSON value.
+ * The comparisons use JSON-encoded parameters: see jsonParam().
+ * @param {String} column
+ *      Quoted column name
+ * @param {Array.<String>} path
+ *      Path into the column: ['address', 'city']
+ * @returns {String|undefined} `undefined` when the jsonField() expression compares fine with plain parameters
+ */
+Dialect.prototype.jsonValue = function(column, path){
+    return undefined;
+};
+
+/** Get the parameter to compare with a jsonValue() expression
+ * @param {String} placeholder
+ *      Placeholder of the JSON-encoded parameter
+ * @returns {String}
+ */
+Dialect.prototype.jsonParam = function(placeholder){
+    return placeholder;
+};
+
+/** Get the expression of a JSON array length
+ * @param {String} expr
+ * @returns {String}
+ */
+Dialect.prototype.arrayLength = function(expr){
+    return 'json_array_length(' + expr + ')';
+};
+
+/** Get a LIKE test
+ * @param {String} expr
+ * @param {String} placeholder
+ *      The pattern placeholder. The pattern uses '\' as the escape character.
+ * @param {Boolean} ignoreCase
+ * @returns {String}
+ */
+Dialect.prototype.like = function(expr, placeholder, ignoreCase){
+    return ignoreCase
+        ? 'LOWER(' + expr + ') LIKE LOWER(' + placeholder + ") ESCAPE '\\'"
+        : expr + ' LIKE ' + placeholder + " ESCAPE '\\'";
+};
+
+/** Get a regular expression test
+ * @param {String} expr
+ * @param {String} placeholder
+ * @param {Boolean} ignoreCase
+ * @returns {String}
+ */
+Dialect.prototype.regex = function(expr, placeholder, ignoreCase){
+    return expr + ' REGEXP ' + (ignoreCase? "'(?i)' || " + placeholder : placeholder);
+};
+
+/** Get the current date expression for $currentDate
+ * @param {String} type
+ *      'date' or 'timestamp' (milliseconds since epoch)
+ * @returns {String}
+ */
+Dialect.prototype.currentDate = function(type){
+    return 'CURRENT_TIMESTAMP';
+};
+
+/** Get the LIMIT clause
+ * @param {Number} skip
+ * @param {Number} limit
+ *      0 for no limit
+ * @returns {String}
+ */
+Dialect.prototype.limit = function(skip, limit){
+    return _.compact([
+        limit? 'LIMIT ' + limit : '',
+        skip? 'OFFSET ' + skip : ''
+    ]).join(' ');
+};
+
+/** Get the value for a column missing from an inserted row
+ * @returns {String|undefined} `undefined` when VALUES does not support the column default
+ */
+Dialect.prototype.defaultValue = function(){
+    return 'DEFAULT';
+};
+
+/** Whether UPDATE supports the LIMIT clause.
+ * When it does not, a limited update selects the primary keys with a subquery.
+ * @type {Boolean}
+ */
+Dialect.prototype.updateLimit = false;
+
+/** Get the upsert clause: what to do with an inserted row that conflicts with an existing one
+ * @param {Array.<String>} conflict
+ *      Quoted columns of the conflicting key
+ * @param {Array.<String>} columns
+ *      Quoted columns to update
+ * @returns {String}
+ */
+Dialect.prototype.upsert = function(conflict, columns){
+    var self = this;
+    return 'ON CONFLICT (' + conflict.join(', ') + ') ' + (columns.length
+        ? 'DO UPDATE SET ' + _.map(columns, function(column){
+            return column + ' = ' + self.excluded(column);
+        }).join(', ')
+        : 'DO NOTHING'
+    );
+};
+
+/** Get the value of an inserted row column in the upsert clause
+ * @param {String} column
+ *      Quoted column name
+ * @returns {String}
+ */
+Dialect.prototype.excluded = function(column){
+    return 'excluded.' + column;
+};
+
+
+
+/** PostgreSQL dialect
+ * @constructor
+ * @extends {Dialect}
+ */
+var PostgresDialect = exports.PostgresDialect = function(){
+    Dialect.call(this, 'postgres');
+    this.returning = true;
+};
+util.inherits(PostgresDialect, Dialect);
+
+PostgresDialect.prototype.placeholder = function(index){
+    return '$' + index;
+};
+
+// `#>>` gives text: nested values are compared as jsonb instead, so numbers compare as numbers
+PostgresDialect.prototype.jsonField = function(column, path){
+    return '(' + column + ' #>> ' + this.quoteString('{' + path.join(',') + '}') + ')';
+};
+
+PostgresDialect.prototype.jsonValue = function(column, path){
+    return '(' + column + ' #> ' + this.quoteString('{' + path.join(',') + '}') + ')';
+};
+
+PostgresDialect.prototype.jsonParam = function(placeholder){
+    return placeholder + '::jsonb';
+};
+
+// Requires a jsonb value: fails on json columns and native arrays
+PostgresDialect.prototype.arrayLength = function(expr){
+    return 'jsonb_array_length(' + expr + ')';
+};
+
+PostgresDialect.prototype.like = function(expr, placeholder, ignoreCase){
+    return expr + (ignoreCase? ' ILIKE ' : ' LIKE ') + placeholder;
+};
+
+PostgresDialect.prototype.regex = function(expr, placeholder, ignoreCase){
+    return expr + (ignoreCase? ' ~* ' : ' ~ ') + placeholder;
+};
+
+PostgresDialect.prototype.currentDate = function(type){
+    return (type === 'timestamp')
+        ? 'CAST(EXTRACT(EPOCH FROM CURRENT_TIMESTAMP) * 1000 AS BIGINT)'
+        : 'CURRENT_TIMESTAMP';
+};
+
+
+
+/** MySQL dialect
+ * @constructor
+ * @extends {Dialect}
+ */
+var MysqlDialect = exports.MysqlDialect = function(){
+    Dialect.call(this, 'mysql');
+};
+util.inherits(MysqlDialect, Dialect);
+
+MysqlDialect.prototype.quoteIdentifier = function(name){
+    return '`' + String(name).replace(/`/g, '``') + '`';
+};
+
+MysqlDialect.prototype.quoteString = function(str){
+    return "'" + String(str).replace(/\\/g, '\\\\').replace(/'/g, "''") + "'";
+};
+
+MysqlDialect.prototype.jsonField = function(column, path){
+    return '(' + column + ' ->> ' + this.quoteString('$.' + path.join('.')) + ')';
+};
+
+MysqlDialect.prototype.arrayLength = function(expr){
+    return 'JSON_LENGTH(' + expr + ')';
+};
+
+MysqlDialect.prototype.like = function(expr, placeholder, ignoreCase){
+    // '\' is the default escape character
+    return ignoreCase
+        ? 'LOWER(' + expr + ') LIKE LOWER(' + placeholder + ')'
+        : expr + ' LIKE BINARY ' + placeholder;
+};
+
+MysqlDialect.prototype.regex = function(expr, placeholder, ignoreCase){
+    return 'REGEXP_LIKE(' + expr + ', ' + placeholder + ', ' + this.quoteString(ignoreCase? 'i' : 'c') + ')';
+};
+
+MysqlDialect.prototype.currentDate = function(type){
+    return (type === 'timestamp')
+        ? 'ROUND(UNIX_TIMESTAMP(CURRENT_TIMESTAMP(3)) * 1000)'
+        : 'CURRENT_TIMESTAMP';
+};
+
+MysqlDialect.prototype.limit = function(skip, limit){
+    if (skip && !limit)
+        limit = '18446744073709551615'; // OFFSET requires LIMIT
+    return Dialect.prototype.limit.call(this, skip, limit);
+};
+
+MysqlDialect.prototype.updateLimit = true;
+
+MysqlDialect.prototype.upsert = function(conflict, columns){
+    if (!columns.length)
+        columns = conflict.slice(0, 1); // a no-op update
+    return 'ON DUPLICATE KEY UPDATE ' + _.map(columns, function(column){
+        return column + ' = ' + this.excluded(column);
+    }, this).join(', ');
+};
+
+MysqlDialect.prototype.excluded = function(column){
+    return 'VALUES(' + column + ')';
+};
+
+
+
+/** SQLite dialect.
+ * REGEXP requires an application-defined regexp() function.
+ * LIKE is case-insensitive for ASCII characters unless `PRAGMA case_sensitive_like` is enabled.
+ * @constructor
+ * @extends {Dialect}
+ */
+var SqliteDialect = exports.SqliteDialect = function(){
+    Dialect.call(this, 'sqlite');
+    this.returning = true; // since 3.35
+};
+util.inherits(SqliteDialect, Dialect);
+
+SqliteDialect.prototype.bool = function(value){
+    return value? '1' : '0';
+};
+
+SqliteDialect.prototype.currentDate = function(type){
+    return (type === 'timestamp')
+        ? "CAST((julianday('now') - 2440587.5) * 86400000 AS INTEGER)"
+        : 'CURRENT_TIMESTAMP';
+};
+
+SqliteDialect.prototype.limit = function(skip, limit){
+    return Dialect.prototype.limit.call(this, skip, (skip && !limit)? -1 : limit); // OFFSET requires LIMIT
+};
+
+SqliteDialect.prototype.defaultValue = function(){
+    return undefined; // DEFAULT is not supported in VALUES, and NULL would bypass the column default
+};
+
+
+
+/** Dialects by name
+ * @type {Object.<String, Function>}
+ */
+exports.dialects = {
+    postgres: PostgresDialect,
+    postgresql: PostgresDialect,
+    mysql: MysqlDialect,
+    sqlite: SqliteDialect
+};
@@ -0,0 +1,14 @@
+'use strict';
+
+/** SQL: the compiler and the dialects, for SQL drivers
+ * @fileOverview
+ */
+
+var dialects = require('./dialects');
+
+exports.Compiler = require('./compiler').Compiler;
+exports.Dialect = dialects.Dialect;
+exports.PostgresDialect = dialects.PostgresDialect;
+exports.MysqlDialect = dialects.MysqlDialect;
+exports.SqliteDialect = dialects.SqliteDialect;
+exports.dialects = dialects.dialects;
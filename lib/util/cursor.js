@@ -0,0 +1,151 @@
+'use strict';
+
+var stream = require('stream'),
+    util = require('util'),
+    Q = require('q'),
+    _ = require('lodash')
+    ;
+
+/** Streaming cursor for Missy: a Readable stream of entities in object mode.
+ * Entities are fetched in batches, only when the consumer is ready to read them.
+ * On NodeJS >= 10, it's also an async iterator: `for await (var entity of cursor)`.
+ *
+ * @param {function():Q} fetch
+ *      Fetch the next batch of entities: promise for an array. An empty array means the end of data.
+ * @param {function():Q?} release
+ *      Release the resources when the cursor is closed
+ *
+ * @event {MissyCursor#error}
+ *      Fetching has failed. The cursor is destroyed with the error.
+ *
+ * @constructor
+ * @extends {stream.Readable}
+ */
+var MissyCursor = exports.MissyCursor = function(fetch, release){
+    stream.Readable.call(this, { objectMode: true });
+
+    this._fetch = fetch;
+    this._release = release || function(){};
+    this._fetching = false;
+    this._closed = false; // exhausted, failed, or closed by the user
+};
+util.inherits(MissyCursor, stream.Readable);
+
+MissyCursor.prototype._read = function(){
+    var self = this;
+    if (this._fetching || this._closed)
+        return;
+
+    // Fetch a batch
+    this._fetching = true;
+    Q.fcall(this._fetch)
+        .then(function(entities){
+            self._fetching = false;
+            if (self._closed)
+                return;
+            // End of data
+            if (_.isEmpty(entities))
+                return self.close();
+            // Push
+            _.each(entities, function(entity){
+                if (self._closed)
+                    return false; // closed by a reader
+                self.push(entity);
+            });
+        })
+        .catch(function(e){
+            self._fetching = false;
+            self.destroy(e); // releases the resources
+        })
+        .done();
+};
+
+/** Release the resources when the stream is destroyed: with destroy(), or by leaving a `for await` loop early
+ * @param {Error?} err
+ * @param {function(Error?)} callback
+ * @protected
+ */
+MissyCursor.prototype._destroy = function(err, callback){
+    if (this._closed)
+        return callback(err);
+    this._closed = true;
+    Q.fcall(this._release)
+        .then(function(){
+            callback(err);
+        }, function(e){
+            callback(err || e);
+        })
+        .done();
+};
+
+/** Stop reading and release the resources.
+ * The stream ends: only the entities that are already buffered can still be read.
+ * @returns {Q} promise
+ */
+MissyCursor.prototype.close = function(){
+    if (this._closed)
+        return Q.fulfill();
+    this._closed = true;
+    this.push(null);
+    return Q.fcall(this._release);
+};
+
+
+
+/** Driver cursor over an array of entities
+ * @param {Array.<Object>} entities
+ *
+ * @constructor
+ * @implements {IMissyDriverCursor}
+ */
+var ArrayCursor = exports.ArrayCursor = function(entities){
+    this.entities = entities;
+};
+
+ArrayCursor.prototype.next = function(count){
+    return Q.fulfill(this.entities.splice(0, count));
+};
+
+ArrayCursor.prototype.close = function(){
+    this.entities = [];
+    return Q.fulfill();
+};
+
+
+
+/** Driver cursor that fetches pages of entities with skip & limit.
+ * Used with drivers that don't support cursors.
+ * @param {function(skip:Number, limit:Number):Q} find
+ *      Fetch a page of entities
+ * @param {Number} [skip=0]
+ *      The number of entities to skip
+ * @param {Number} [limit=0]
+ *      The total number of entities to fetch. 0 = no limit.
+ *
+ * @constructor
+ * @implements {IMissyDriverCursor}
+ */
+var PagedCursor = exports.PagedCursor = function(find, skip, limit){
+    this._find = find;
+    this._skip = skip || 0;
+    this._left = limit || Infinity;
+};
+
+PagedCursor.prototype.next = function(count){
+    var self = this;
+    count = Math.min(count, this._left);
+    if (count <= 0)
+        return Q.fulfill([]);
+
+    return Q.fcall(this._find, this._skip, count)
+        .then(function(entities){
+            self._skip += entities.length;
+            self._left = (entities.length < count)? 0 : self._left - entities.length; // a short page is the last one
+            return entities;
+        });
+};
+
+PagedCursor.prototype.close = function(){
+    this._left = 0;
+    return Q.fulfill();
+};
@@ -13,7 +13,14 @@ exports.MissyCriteria = model.MissyCriteria;
 exports.MissyProjection = model.MissyProjection;
 exports.MissySort = model.MissySort;
 exports.MissyUpdate = model.MissyUpdate;
+exports.MissyAggregate = model.MissyAggregate;
 exports.MissyHooks = require('./hooks').MissyHooks;
+var cursor = require('./cursor');
+exports.MissyCursor = cursor.MissyCursor;
+exports.ArrayCursor = cursor.ArrayCursor;
+exports.PagedCursor = cursor.PagedCursor;
+exports.path = require('./path');
+exports.keyset = require('./keyset');
 
 /** Check whether the interface is implemented
  * @param {Object} Interface
@@ -0,0 +1,89 @@
+'use strict';
+
+/** Keyset pagination: cursor tokens and range criteria.
+ * A page is ordered by the sort fields followed by the primary key, which makes the order total.
+ * The cursor token is an opaque string that holds the values of these keys for an entity.
+ * @fileOverview
+ */
+
+var _ = require('lodash'),
+    path = require('./path')
+    ;
+
+/** Get the pagination keys: the sort fields followed by the primary key fields.
+ * The primary key follows the direction of the last sort field.
+ * @param {Model} model
+ * @param {MissySort} sort
+ * @returns {Object.<String, Number>} { field: +1|-1, .. }
+ */
+exports.keys = function(model, sort){
+    var keys = _.clone(sort.sort),
+        dir = _.isEmpty(keys)? +1 : _.last(_.values(keys));
+    _.each(model.options.pk, function(fieldName){
+        if (!(fieldName in keys))
+            keys[fieldName] = dir;
+    });
+    return keys;
+};
+
+/** Reverse the direction of the keys
+ * @param {Object.<String, Number>} keys
+ * @returns {Object.<String, Number>}
+ */
+exports.reverse = function(keys){
+    return _.transform(keys, function(res, dir, fieldName){
+        res[fieldName] = -dir;
+    }, {});
+};
+
+/** Get the keys signature: the token is only valid with the same keys
+ * @param {Object.<String, Number>} keys
+ * @returns {String}
+ */
+var signature = function(keys){
+    return _.map(keys, function(dir, fieldName){
+        return fieldName + (dir > 0? '+' : '-');
+    }).join(',');
+};
+
+/** Make a cursor token for an entity
+ * @param {Object.<String, Number>} keys
+ * @param {Object} entity
+ * @returns {String}
+ */
+exports.encode = function(keys, entity){
+    var values = _.map(keys, function(dir, fieldName){
+        return path.get(entity, fieldName);
+    });
+    return Buffer.from(JSON.stringify({ k: signature(keys), v: values })).toString('base64');
+};
+
+/** Get the key values from a cursor token
+ * @param {Object.<String, Number>} keys
+ * @param {String} token
+ * @returns {Array?} Key values, or `undefined` when the token is invalid or was made for different keys
+ */
+exports.decode = function(keys, token){
+    var data;
+    try { data = JSON.parse(Buffer.from(String(token), 'base64').toString()); }
+    catch(e){ return undefined; }
+    if (!_.isObject(data) || data.k !== signature(keys) || !_.isArray(data.v) || data.v.length !== _.size(keys))
+        return undefined;
+    return data.v;
+};
+
+/** Make the range criteria that selects entities after the key values (in the keys order)
+ * @param {Object.<String, Number>} keys
+ * @param {Array} values
+ * @returns {Object} Criteria: { $or: [ { a: { $gt: 1 } }, { a: 1, b: { $gt: 2 } }, .. ] }
+ */
+exports.criteria = function(keys, values){
+    var fieldNames = _.keys(keys);
+    return {
+        $or: _.map(fieldNames, function(fieldName, i){
+            var criteria = _.object(fieldNames.slice(0, i), values.slice(0, i));
+            criteria[fieldName] = _.object([[ (keys[fieldName] > 0)? '$gt' : '$lt', values[i] ]]);
+            return criteria;
+        })
+    };
+};
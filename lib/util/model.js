@@ -5,7 +5,8 @@
  */
 
 var _ = require('lodash'),
-    errors = require('../errors')
+    errors = require('../errors'),
+    path = require('./path')
     ;
 
 
@@ -25,7 +26,8 @@ var Converter = exports.Converter = function(model){
 
 /** Convert a field using the named TypeHandler method
  * @param {String} fieldName
- *      Field name
+ *      Field name.
+ *      Dot-notation paths into nested fields ('address.city') are not converted: nested values have no type.
  * @param {String} method
  *      IMissyTypeHandler method name: 'norm', 'load', 'save'
  * @param {*} value
@@ -38,6 +40,13 @@ var Converter = exports.Converter = function(model){
  * @throws {MissyTypeError} when the convertion has failed
  */
 Converter.prototype.convertValue = function(fieldName, method, value, ignore){
+    // Nested path: values are not converted, but the root field should exist
+    if (path.isNested(fieldName) && !(fieldName in this.model.fields)){
+        if (!ignore && !(path.root(fieldName) in this.model.fields))
+            throw new errors.MissyModelError(this.model, 'Convertion of an unknown field: ' + fieldName);
+        return value;
+    }
+
     // Pick the TypeHandler
     /** Field definition
      * @type {IModelFieldDefinition}
@@ -95,6 +104,7 @@ Converter.prototype.convertEntity = function(method, entity){
  *      Object inclusion syntax: { field: 1, .. } - include only the named fields
  *      Object exclusion syntax: { field: 0, .. } - exlude the named fields
  *      By default, selects all fields.
+ *      Field names can be dot-notation paths into nested fields: '+profile.avatar'
  *
  * @property {Object} projection
  *      A projection using the object syntax
@@ -145,6 +155,7 @@ var MissyProjection = exports.MissyProjection = function(projection){
 };
 
 /** Test whether the projection includes the named fields
+ * A field is included along with its parent: { address: 1 } includes 'address.city'
  * @param {Array.<String>} fields
  *      The required fields
  * @returns {Boolean}
@@ -153,11 +164,20 @@ MissyProjection.prototype.includesFields = function(fields){
     // Empty projection
     if (_.isEmpty(this.projection))
         return true;
+
+    // Test whether the field is named by the projection, directly or through a parent path
+    var paths = _.keys(this.projection),
+        named = function(field){
+            return _.any(paths, function(p){
+                return field === p || field.indexOf(p + '.') === 0;
+            });
+        };
+
     // Inclusion mode: all should be included
     if (this.inclusionMode)
-        return _.difference(fields, _.keys(this.projection)).length === 0;
+        return _.all(fields, named);
     // Exclusion mode: none should be excluded
-    return _.intersection(fields, _.keys(this.projection)).length === 0;
+    return !_.any(fields, named);
 };
 
 /** Using the projection and a model fields, produce a detailed object
@@ -198,6 +218,7 @@ MissyProjection.prototype.getFieldDetails = function(model){
 
 /** Apply projection rules to the entity
  * Is only used in MemoryDriver, but is added here for fullness.
+ * Supports dot-notation paths into nested fields.
  * @param {Model} model
  * @param {Object} entity
  * @returns {Object}
@@ -205,9 +226,9 @@ MissyProjection.prototype.getFieldDetails = function(model){
 MissyProjection.prototype.entityApply = function(model, entity){
     var fieldDetails = this.getFieldDetails(model);
     if (fieldDetails.pick.length)
-        entity = _.pick(entity, fieldDetails.pick);
+        entity = path.pick(entity, fieldDetails.pick);
     if (fieldDetails.omit.length)
-        entity = _.omit(entity, fieldDetails.omit);
+        entity = path.omit(entity, fieldDetails.omit);
     return entity;
 };
 
@@ -231,13 +252,21 @@ MissyProjection.prototype.toString = function(){
  * @param {Object|MissyCriteria?} criteria
  *      MongoDB-style simple criteria: { key: value } or { key: { $operator: value }, ... }
  *      All conditions are assumed to be ANDed.
+ *      Keys can be dot-notation paths into nested fields: { 'address.city': 'Berlin' }
  *      Supported operators:
  *          $gt, $gte, $in, $lt, $lte, $eq, $ne, $nin
  *          $exists
+ *          $not: { key: { $not: { $operator: value } } }
+ *          $regex, $like, $startsWith, $endsWith: string patterns, with optional flags: { $options: 'i' }
+ *          $all, $size: array tests
+ *          $elemMatch: { key: { $elemMatch: criteria } } or { key: { $elemMatch: { $operator: value } } }
+ *      Supported logical operators:
+ *          $or, $and, $nor: { $or: [ criteria, ... ] }
  *      Note: $eq is non-standard, but is here for consistency
  *
  * @property {Object} criteria
  *      Normalized criteria in the following guaranteed form: { key: { $operator: value, ... }, ... }
+ *      Logical operators are kept as arrays of normalized criteria: { $or: [ { key: { $operator: value } }, ... ] }
  *      The values are converted to DB values.
  *
  * @constructor
@@ -249,44 +278,150 @@ var MissyCriteria = exports.MissyCriteria = function(model, criteria){
     if (criteria instanceof MissyCriteria)
         return _.extend(this, criteria);
 
-    this.criteria = _.transform(criteria || {}, function(res, test, fieldName){
-        // Normalize
-        if (!_.isObject(test) || !_.any(test, function(v, operator){ return operator[0]==='$'; }))
-            test = { $eq: test };
-
-        // Convert
-        var convert = _.partial(model.converter.convertValue.bind(model.converter), fieldName, 'save');
-
-        test = _.transform(test, function(res, operand, operator){ // walk through operands and convert them
-            // Known operator?
-            if (!_.contains(MissyCriteria.operators, operator))
-                throw new errors.MissyModelError(model, 'Unknown operator: ' + operator);
-
-            // Decide what to to with the value
-            switch (MissyCriteria.operatorTypes[operator]){
-                case 'vector':
-                    res[operator] = _.map([].concat(operand), function(item){
-                        return convert(item, true);
-                    });
-                    break;
-                case 'raw':
-                    res[operator] = operand; // unchanged
-                    break;
-                default:
-                    res[operator] = convert(operand, true);
-                    break;
-            }
-        });
-
-        // Finish
-        res[fieldName] = test;
-    });
+    this.criteria = MissyCriteria._normalizeCriteria(model, criteria);
 };
-MissyCriteria.operators = ['$gt', '$gte', '$in', '$lt', '$lte', '$ne', '$eq', '$nin', '$exists']; // supported operators
+MissyCriteria.operators = ['$gt', '$gte', '$in', '$lt', '$lte', '$ne', '$eq', '$nin', '$exists', '$not',
+    '$regex', '$like', '$startsWith', '$endsWith', '$options',
+    '$all', '$size', '$elemMatch']; // supported operators
+MissyCriteria.logicalOperators = ['$or', '$and', '$nor']; // supported top-level operators
+MissyCriteria.patternOperators = ['$regex', '$like', '$startsWith', '$endsWith']; // operators that use $options
 MissyCriteria.operatorTypes = {
     $in: 'vector',
     $nin: 'vector',
-    $exists: 'raw'
+    $exists: 'raw',
+    $not: 'test',
+    $regex: 'raw',
+    $like: 'raw',
+    $startsWith: 'raw',
+    $endsWith: 'raw',
+    $options: 'raw',
+    $all: 'elements',
+    $size: 'number',
+    $elemMatch: 'elemMatch'
+};
+
+/** Normalize a criteria object: walk the fields and the logical operators
+ * @param {Model} model
+ * @param {Object?} criteria
+ * @param {Boolean} [raw=false]
+ *      Don't convert the values: the fields do not belong to the model (e.g. $elemMatch)
+ * @returns {Object}
+ * @throws {MissyModelError} on unknown operator
+ * @throws {MissyTypeError} when value convertion fails
+ * @protected
+ */
+MissyCriteria._normalizeCriteria = function(model, criteria, raw){
+    return _.transform(criteria || {}, function(res, test, fieldName){
+        // Logical operator
+        if (fieldName[0] === '$'){
+            if (!_.contains(MissyCriteria.logicalOperators, fieldName))
+                throw new errors.MissyModelError(model, 'Unknown operator: ' + fieldName);
+            res[fieldName] = _.map([].concat(test), function(criteria){
+                return MissyCriteria._normalizeCriteria(model, criteria, raw);
+            });
+            return;
+        }
+
+        // Field
+        res[fieldName] = MissyCriteria._normalizeTest(model, fieldName, test, raw);
+    });
+};
+
+/** Normalize a field test
+ * @param {Model} model
+ * @param {String} fieldName
+ * @param {*} test
+ *      Either a value, or an object of operators
+ * @param {Boolean} [raw=false]
+ *      Don't convert the values
+ * @returns {Object} { $operator: value, ... }
+ * @throws {MissyModelError} on unknown operator
+ * @throws {MissyModelError} on $options without a pattern operator, or an invalid pattern
+ * @throws {MissyModelError} on invalid $size
+ * @throws {MissyTypeError} when value convertion fails
+ * @protected
+ */
+MissyCriteria._normalizeTest = function(model, fieldName, test, raw){
+    // Normalize
+    if (!_.isObject(test) || !_.any(test, function(v, operator){ return operator[0]==='$'; }))
+        test = { $eq: test };
+
+    // Convert
+    var convert = raw? _.identity : _.partial(model.converter.convertValue.bind(model.converter), fieldName, 'save');
+
+    var res = _.transform(test, function(res, operand, operator){ // walk through operands and convert them
+        // Known operator?
+        if (!_.contains(MissyCriteria.operators, operator))
+            throw new errors.MissyModelError(model, 'Unknown operator: ' + operator);
+
+        // Decide what to to with the value
+        switch (MissyCriteria.operatorTypes[operator]){
+            case 'vector':
+                res[operator] = _.map([].concat(operand), function(item){
+                    return convert(item, true);
+                });
+                break;
+            case 'raw':
+                res[operator] = operand; // unchanged
+                break;
+            case 'test':
+                res[operator] = MissyCriteria._normalizeTest(model, fieldName, operand, raw);
+                break;
+            case 'elements':
+                res[operator] = [].concat(operand); // array elements have no type
+                break;
+            case 'number':
+                res[operator] = +operand;
+                if (!_.isString(operand) && !_.isNumber(operand) || operand === '' || res[operator] % 1 !== 0 || res[operator] < 0)
+                    throw new errors.MissyModelError(model, 'Operator ' + operator + ' requires a non-negative integer for `' + fieldName + '`');
+                break;
+            case 'elemMatch':
+                res[operator] = MissyCriteria.normalizeElementTest(model, fieldName, operand);
+                break;
+            default:
+                res[operator] = convert(operand, true);
+                break;
+        }
+    });
+
+    // Validate the patterns: fail early rather than at match time
+    var patterns = _.intersection(_.keys(res), MissyCriteria.patternOperators);
+    if ('$options' in res && !patterns.length)
+        throw new errors.MissyModelError(model, 'Operator $options requires a pattern operator for `' + fieldName + '`');
+    _.each(patterns, function(operator){
+        try { MissyCriteria.patternRegExp(operator, res[operator], res.$options); }
+        catch (e){
+            throw new errors.MissyModelError(model, 'Invalid ' + operator + ' pattern for `' + fieldName + '`: ' + e.message);
+        }
+    });
+    return res;
+};
+
+/** Test whether the object is a field test (an object of operators) rather than a criteria (an object of fields)
+ * @param {*} test
+ * @returns {Boolean}
+ */
+MissyCriteria.isTest = function(test){
+    return _.isObject(test) && _.any(test, function(v, operator){
+        return _.contains(MissyCriteria.operators, operator);
+    });
+};
+
+/** Normalize a test on array elements.
+ * Elements have no type, so the values are not converted.
+ * @param {Model} model
+ * @param {String} fieldName
+ * @param {*} test
+ *      | Scalar value: { $eq: value }
+ *      | Operators: a test on scalar elements: { $operator: value, ... }
+ *      | Object: criteria on object elements: { key: { $operator: value }, ... }
+ * @returns {Object}
+ * @throws {MissyModelError} on unknown operator
+ */
+MissyCriteria.normalizeElementTest = function(model, fieldName, test){
+    return (!_.isObject(test) || MissyCriteria.isTest(test))
+        ? MissyCriteria._normalizeTest(model, fieldName, test, true)
+        : MissyCriteria._normalizeCriteria(model, test, true);
 };
 
 /** Build a Criteria from the Primary Key values
@@ -331,50 +466,168 @@ MissyCriteria.fromEntity = function(model, entity){
     return new MissyCriteria(model, criteria);
 };
 
+/** Escape a string for use in a RegExp
+ * @param {String} str
+ * @returns {String}
+ */
+var escapeRegExp = function(str){
+    return String(str).replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+};
+
+/** Build a RegExp for a pattern operator
+ * @param {String} operator
+ *      Pattern operator: $regex, $like, $startsWith, $endsWith
+ * @param {String|RegExp} operand
+ *      The pattern
+ * @param {String?} options
+ *      Pattern flags: 'i' for case-insensitive matching
+ * @returns {RegExp}
+ */
+MissyCriteria.patternRegExp = function(operator, operand, options){
+    options = options || '';
+    switch (operator){
+        case '$regex':
+            if (operand instanceof RegExp)
+                return new RegExp(operand.source, _.uniq(((operand.ignoreCase? 'i' : '') + (operand.multiline? 'm' : '') + options).split('')).join(''));
+            return new RegExp(operand, options);
+        case '$like':
+            return new RegExp('^' + _.map(String(operand).split(''), function(c){
+                switch (c){
+                    case '%': return '.*';
+                    case '_': return '.';
+                    default: return escapeRegExp(c);
+                }
+            }).join('') + '$', options);
+        case '$startsWith': return new RegExp('^' + escapeRegExp(operand), options);
+        case '$endsWith': return new RegExp(escapeRegExp(operand) + '$', options);
+    }
+};
+
+/** Test whether two values are the same Date
+ * @param {*} a
+ * @param {*} b
+ * @returns {Boolean}
+ */
+var sameDate = function(a, b){
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+};
+
+/** Test whether the array contains the value. Dates are compared by value.
+ * @param {Array} values
+ * @param {*} value
+ * @returns {Boolean}
+ */
+var containsValue = function(values, value){
+    return _.contains(values, value) || (value instanceof Date && _.any(values, function(item){
+        return sameDate(item, value);
+    }));
+};
+
 /** Test whether the given value matches the operator against an operand.
+ * Dates are compared by value.
  * @param {String} operator
  * @param {*} value
  * @param {*} operand
+ * @param {String?} options
+ *      Flags for the pattern operators: { $options }
  * @returns {Boolean}
  */
-MissyCriteria.matchOperator = function(operator, value, operand){
+MissyCriteria.matchOperator = function(operator, value, operand, options){
     switch (operator){
         case '$gt': return value > operand; 
         case '$gte': return value >= operand;
-        case '$in': return _.contains(operand, value);
+        case '$in': return containsValue(operand, value);
         case '$lt': return value < operand;
         case '$lte': return value <= operand;
-        case '$ne': return value != operand;
-        case '$eq': return value === operand;
-        case '$nin': return !_.contains(operand, value);
+        case '$ne': return value != operand && !sameDate(value, operand);
+        case '$eq': return value === operand || sameDate(value, operand);
+        case '$nin': return !containsValue(operand, value);
         case '$exists': return (value !== undefined) === !!operand;
+        case '$not': return !MissyCriteria.matchTest(value, operand);
+        case '$regex':
+        case '$like':
+        case '$startsWith':
+        case '$endsWith':
+            return _.isString(value) && MissyCriteria.patternRegExp(operator, operand, options).test(value);
+        case '$options': return true; // see the pattern operators
+        case '$all': return _.isArray(value) && operand.length > 0 && _.all(operand, function(item){ return _.contains(value, item); });
+        case '$size': return _.isArray(value) && value.length === operand;
+        case '$elemMatch':
+            return _.isArray(value) && _.any(value, function(item){
+                return MissyCriteria.matchElement(item, operand);
+            });
     }
 };
 
+/** Test whether the given value matches all operators of a normalized field test.
+ * @param {*} value
+ * @param {Object} test
+ *      Normalized field test: { $operator: operand, ... }
+ * @returns {Boolean}
+ */
+MissyCriteria.matchTest = function(value, test){
+    return _.all(test, function(operand, operator){
+        return MissyCriteria.matchOperator(operator, value, operand, test.$options);
+    });
+};
+
+/** Test whether an array element matches a normalized element test.
+ * @see {MissyCriteria.normalizeElementTest}
+ * @param {*} item
+ *      Array element
+ * @param {Object} test
+ *      Normalized element test
+ * @returns {Boolean}
+ */
+MissyCriteria.matchElement = function(item, test){
+    if (MissyCriteria.isTest(test))
+        return MissyCriteria.matchTest(item, test);
+    return _.isObject(item) && MissyCriteria.matchCriteria(test, item);
+};
+
+/** Test whether the given entity matches a normalized criteria object.
+ * @param {Object} criteria
+ *      Normalized criteria
+ * @param {Object} entity
+ * @returns {Boolean}
+ */
+MissyCriteria.matchCriteria = function(criteria, entity){
+    var match = function(criteria){
+        return MissyCriteria.matchCriteria(criteria, entity);
+    };
+    return _.all(criteria, function(test, fieldName){
+        switch (fieldName){
+            case '$or': return _.any(test, match);
+            case '$and': return _.all(test, match);
+            case '$nor': return !_.any(test, match);
+        }
+        return MissyCriteria.matchTest(path.get(entity, fieldName), test);
+    });
+};
+
 /** Test whether the given entity matches this criteria.
  * Is only used in MemoryDriver, but is added here for fullness.
  * @param {Object} entity
  * @returns {Boolean}
  */
 MissyCriteria.prototype.entityMatch = function(entity){
-    var self = this;
-    return _.all(this.criteria, function(test, fieldName){
-        return _.all(test, function(operand, operator){
-            return MissyCriteria.matchOperator(operator, entity[fieldName], operand);
-        });
-    });
+    return MissyCriteria.matchCriteria(this.criteria, entity);
 };
 
 /** Make up an entity to be inserted from the criteria
- * This only uses $eq fields (mimics MongoDB behavior)
+ * This only uses $eq fields, including those nested in $and (mimics MongoDB behavior)
  * @returns {Object}
  */
 MissyCriteria.prototype.entityInsert = function(){
     var entity = {};
-    _.each(this.criteria, function(test, fieldName){
-        if ('$eq' in test)
-            entity[fieldName] = test.$eq;
-    });
+    (function collect(criteria){
+        _.each(criteria, function(test, fieldName){
+            if (fieldName === '$and')
+                _.each(test, collect);
+            else if (fieldName[0] !== '$' && '$eq' in test)
+                path.set(entity, fieldName, test.$eq);
+        });
+    })(this.criteria);
     return entity;
 };
 
@@ -390,6 +643,7 @@ MissyCriteria.prototype.entityInsert = function(){
  *      | 'fielda,fieldb+,fieldc-' - string, ','-separated,
  *      | ['fielda', 'fieldb+', 'fieldc-']
  *      | { fielda: +1, fieldb: -1, fieldc: '-' }
+ *      Field names can be dot-notation paths into nested fields: 'address.zip+'
  *
  * @property {Object} sort
  *      Normalized sort object in the following form:
@@ -439,9 +693,11 @@ MissySort.prototype.entitiesSort = function(entities){
             if (res !== 0)
                 return res; // don't check further when the comparison is already defined
             // Compare 2 fields
-            if (a[fieldName] === b[fieldName])
+            var va = path.get(a, fieldName),
+                vb = path.get(b, fieldName);
+            if (va === vb || sameDate(va, vb))
                 return 0;
-            return (a[fieldName] < b[fieldName])? -dir : +dir;
+            return (va < vb)? -dir : +dir;
         }, 0);
     }.bind(this));
 
@@ -467,12 +723,21 @@ MissySort.prototype.toString = function(){
  *      MongoDB-style update object.
  *      | Object syntax: { field: value, ... }
  *      | Operators: { $inc: { field: 1 }, ... }
+ *      Field names can be dot-notation paths into nested fields: { $set: { 'address.city': 'Berlin' } }
  *      Supported operators:
  *          $inc, $rename, $set, $unset, $setOnInsert
+ *          $push, $addToSet: { $push: { field: value } } or { $push: { field: { $each: [ value, ... ], $slice: -5 } } }
+ *          $pull: { $pull: { field: value } } or { $pull: { field: criteria } }
+ *          $pop: { $pop: { field: 1 } } to remove the last element, -1 to remove the first one
+ *          $mul, $min, $max
+ *          $currentDate: { $currentDate: { field: true } } or { $currentDate: { field: { $type: 'date'|'timestamp' } } }
  *
  * @property {Object} update
  *      Normalized update object in the following form:
  *      { $inc: {}, $rename: {}, ... }
+ *      $push and $addToSet operands are normalized to { $each: [ value, ... ] } with an optional $slice
+ *      $pull operands are normalized to element tests (see MissyCriteria.normalizeElementTest)
+ *      $currentDate operands are normalized to { $type: 'date'|'timestamp' }
  *      The values are converted to DB values.
  *
  * @throws {MissyModelError} on unknown operator
@@ -500,12 +765,21 @@ var MissyUpdate = exports.MissyUpdate = function(model, update){
             res[operator] || {},
             // Walk the fields and convert (or prepare)
             _.transform(fields, function(res, value, fieldName){
-                switch (operator){
+                switch (MissyUpdate.operatorTypes[operator]){
                     case 'number':
-                        res[fieldName] = parseInt(value);
+                        res[fieldName] = parseFloat(value);
                         break;
                     case 'raw':
-                        // preserve
+                        res[fieldName] = value; // preserve
+                        break;
+                    case 'each':
+                        res[fieldName] = MissyUpdate._normalizeEach(model, fieldName, value);
+                        break;
+                    case 'element':
+                        res[fieldName] = MissyCriteria.normalizeElementTest(model, fieldName, value);
+                        break;
+                    case 'currentDate':
+                        res[fieldName] = { $type: (_.isObject(value) && value.$type === 'timestamp')? 'timestamp' : 'date' };
                         break;
                     default:
                         res[fieldName] = model.converter.convertValue(fieldName, 'save', value, true);
@@ -515,11 +789,44 @@ var MissyUpdate = exports.MissyUpdate = function(model, update){
         );
     });
 };
-MissyUpdate.operators = [ '$set', '$inc', '$unset', '$setOnInsert', '$rename' ];
+MissyUpdate.operators = [ '$set', '$inc', '$unset', '$setOnInsert', '$rename', '$push', '$addToSet', '$pull', '$pop',
+    '$mul', '$min', '$max', '$currentDate' ];
 MissyUpdate.operatorTypes = {
     $inc: 'number',
+    $mul: 'number',
+    $currentDate: 'currentDate',
     $unset: 'raw',
-    $rename: 'raw'
+    $rename: 'raw',
+    $push: 'each',
+    $addToSet: 'each',
+    $pull: 'element',
+    $pop: 'number'
+};
+
+/** Normalize the operand of $push, $addToSet
+ * The elements are converted with the field type handler as an array.
+ * @param {Model} model
+ * @param {String} fieldName
+ * @param {*|{ $each: Array, $slice: Number? }} value
+ *      A single element, or the $each modifier
+ * @returns {{ $each: Array, $slice: Number? }}
+ * @protected
+ */
+MissyUpdate._normalizeEach = function(model, fieldName, value){
+    var res = _.isObject(value) && ('$each' in value)
+        ? _.pick(value, '$each', '$slice')
+        : { $each: [value] };
+
+    // Elements
+    res.$each = [].concat(res.$each);
+    var elements = model.converter.convertValue(fieldName, 'save', res.$each, true);
+    if (_.isArray(elements))
+        res.$each = elements; // only when the type handler is array-friendly
+
+    // Slice
+    if ('$slice' in res)
+        res.$slice = parseInt(res.$slice) || 0;
+    return res;
 };
 
 /** Update an entity
@@ -535,38 +842,97 @@ MissyUpdate.prototype.entityUpdate = function(entity, insertMode){
     var self = this;
     _.each(this.update, function(fields, operator){
         _.each(fields, function(value, fieldName){
+            var current = path.get(entity, fieldName);
             // The following operators fully mimic MongoDB behavior
             switch (operator){
                 case '$set':
-                    entity[fieldName] = value;
+                    path.set(entity, fieldName, value);
                     break;
                 case '$inc':
-                    if (!entity[fieldName])
-                        entity[fieldName] = 0;
-                    if (!_.isNumber(entity[fieldName]))
-                        throw new errors.MissyModelError(self, 'Cannot apply $inc modifier to non-number');
-                    entity[fieldName] += value;
+                    if (!current)
+                        current = 0;
+                    if (!_.isNumber(current))
+                        throw new errors.MissyModelError(self.model, 'Cannot apply $inc modifier to non-number');
+                    path.set(entity, fieldName, current + value);
+                    break;
+                case '$mul':
+                    if (!current)
+                        current = 0;
+                    if (!_.isNumber(current))
+                        throw new errors.MissyModelError(self.model, 'Cannot apply $mul modifier to non-number');
+                    path.set(entity, fieldName, current * value);
+                    break;
+                case '$min':
+                    if (_.isUndefined(current) || _.isNull(current) || value < current)
+                        path.set(entity, fieldName, value);
+                    break;
+                case '$max':
+                    if (_.isUndefined(current) || _.isNull(current) || value > current)
+                        path.set(entity, fieldName, value);
+                    break;
+                case '$currentDate':
+                    path.set(entity, fieldName, (value.$type === 'timestamp')? Date.now() : new Date());
                     break;
                 case '$unset':
-                    if (fieldName in entity)
-                        delete entity[fieldName];
+                    path.unset(entity, fieldName);
                     break;
                 case '$setOnInsert':
                     if (insertMode)
-                        entity[fieldName] = value;
+                        path.set(entity, fieldName, value);
                     break;
                 case '$rename':
-                    if (fieldName in entity){
-                        entity[value] = entity[fieldName];
-                        delete entity[fieldName];
+                    if (path.has(entity, fieldName)){
+                        path.unset(entity, fieldName);
+                        path.set(entity, value, current);
                     }
                     break;
+                case '$push':
+                case '$addToSet':
+                case '$pull':
+                case '$pop':
+                    if (_.isUndefined(current) || _.isNull(current))
+                        current = [];
+                    if (!_.isArray(current))
+                        throw new errors.MissyModelError(self.model, 'Cannot apply ' + operator + ' modifier to non-array');
+                    path.set(entity, fieldName, MissyUpdate.arrayUpdate(operator, current, value));
+                    break;
             }
         });
     });
     return entity;
 };
 
+/** Apply an array update operator
+ * @param {String} operator
+ *      Array operator: $push, $addToSet, $pull, $pop
+ * @param {Array} array
+ *      The array to update
+ * @param {*} operand
+ *      Normalized operand
+ * @returns {Array} The updated copy
+ */
+MissyUpdate.arrayUpdate = function(operator, array, operand){
+    switch (operator){
+        case '$push':
+            array = array.concat(operand.$each);
+            if (_.isNumber(operand.$slice))
+                array = (operand.$slice < 0)? array.slice(operand.$slice) : array.slice(0, operand.$slice);
+            return array;
+        case '$addToSet':
+            return _.reduce(operand.$each, function(array, item){
+                if (!_.any(array, function(existing){ return _.isEqual(existing, item); }))
+                    array.push(item);
+                return array;
+            }, _.clone(array));
+        case '$pull':
+            return _.reject(array, function(item){
+                return MissyCriteria.matchElement(item, operand);
+            });
+        case '$pop':
+            return (operand < 0)? array.slice(1) : array.slice(0, -1);
+    }
+};
+
 /** Make up an entity to be inserted by merging the update operations with the criteria
  * @param {MissyCriteria?} criteria
  *      The criteria to merge
@@ -582,3 +948,173 @@ MissyUpdate.prototype.entityInsert = function(criteria){
     // Finish
     return entity;
 };
+
+
+
+
+
+
+/** Missy Aggregate: a database-neutral grouping query
+ * @param {Model} model
+ *      The model being aggregated
+ * @param {Object|MissyCriteria?} criteria
+ *      Search criteria: only the matching entities are aggregated
+ * @param {Object?} pipeline
+ *      Aggregation specification:
+ * @param {String|Array.<String>?} pipeline.group
+ *      Group by fields: 'field,field' or an array of field names.
+ *      Field names can be dot-notation paths into nested fields: 'address.city'
+ *      When empty, all the matching entities are aggregated into a single row.
+ * @param {Object.<String, Object>?} pipeline.accumulators
+ *      Computed fields of every row: { name: { $operator: operand } }
+ *      Supported operators:
+ *          $count: { $count: true } - the number of entities in the group
+ *          $sum: { $sum: 'field' }, or { $sum: N } to sum a constant for each entity
+ *          $avg, $min, $max: { $avg: 'field' }
+ * @param {String|Object|Array|MissySort?} pipeline.sort
+ *      Sort the rows by group fields and accumulators
+ * @param {Number?} [pipeline.skip=0]
+ *      Skip this number of rows
+ * @param {Number?} [pipeline.limit=0]
+ *      Limit to this number of rows
+ *
+ * @property {Model} model
+ * @property {MissyCriteria} criteria
+ * @property {Array.<String>} group
+ * @property {Object.<String, Object>} accumulators
+ *      Normalized accumulators: { name: { $operator: operand } }
+ * @property {MissySort} sort
+ * @property {Number} skip
+ * @property {Number} limit
+ *
+ * @throws {MissyModelError} on unknown operator or invalid operand
+ * @constructor
+ */
+var MissyAggregate = exports.MissyAggregate = function(model, criteria, pipeline){
+    if (criteria instanceof MissyAggregate)
+        return _.extend(this, criteria);
+    pipeline = pipeline || {};
+
+    this.model = model;
+    this.criteria = new MissyCriteria(model, criteria);
+
+    // Group
+    this.group = pipeline.group || [];
+    if (_.isString(this.group))
+        this.group = this.group.split(',');
+    this.group = _.compact(this.group);
+
+    // Accumulators
+    this.accumulators = _.transform(pipeline.accumulators || {}, function(res, accumulator, name){
+        var operator = _.isObject(accumulator) && _.keys(accumulator).length === 1 && _.keys(accumulator)[0],
+            operand = operator && accumulator[operator];
+        if (!_.contains(MissyAggregate.operators, operator))
+            throw new errors.MissyModelError(model, 'Unknown accumulator for `' + name + '`: ' + JSON.stringify(accumulator));
+        if (_.contains(this.group, name))
+            throw new errors.MissyModelError(model, 'Accumulator `' + name + '` conflicts with a group field');
+        if (operator !== '$count' && !_.isString(operand) && !(operator === '$sum' && _.isNumber(operand)))
+            throw new errors.MissyModelError(model, 'Invalid operand for `' + name + '`: ' + operator);
+        res[name] = _.object([[ operator, (operator === '$count')? true : operand ]]);
+    }, {}, this);
+
+    // Sort, skip, limit
+    this.sort = new MissySort(pipeline.sort);
+    this.skip = Math.max( parseInt(pipeline.skip) || 0, 0);
+    this.limit = Math.max( parseInt(pipeline.limit) || 0, 0);
+};
+MissyAggregate.operators = ['$count', '$sum', '$avg', '$min', '$max'];
+
+/** Compute an accumulator over a group of entities
+ * @param {Object} accumulator
+ *      Normalized accumulator: { $operator: operand }
+ * @param {Array.<Object>} entities
+ *      The group of entities
+ * @returns {Number|*|null}
+ *      The computed value. $avg, $min, $max give `null` when there are no values
+ */
+MissyAggregate.accumulate = function(accumulator, entities){
+    var operator = _.keys(accumulator)[0],
+        operand = accumulator[operator];
+
+    if (operator === '$count')
+        return entities.length;
+
+    // Collect values
+    var values = _.isNumber(operand)
+        ? _.map(entities, _.constant(operand))
+        : _.reject(
+            _.map(entities, function(entity){ return path.get(entity, operand); }),
+            function(value){ return _.isUndefined(value) || _.isNull(value); }
+        );
+
+    // Compute
+    var numbers = _.filter(values, _.isNumber),
+        sum = _.reduce(numbers, function(sum, value){ return sum + value; }, 0);
+    switch (operator){
+        case '$sum':
+            return sum;
+        case '$avg':
+            return numbers.length? sum / numbers.length : null;
+        case '$min':
+            return values.length? _.reduce(values, function(min, value){ return (value < min)? value : min; }) : null;
+        case '$max':
+            return values.length? _.reduce(values, function(max, value){ return (value > max)? value : max; }) : null;
+    }
+};
+
+/** Aggregate an array of entities: match, group, accumulate, sort, skip & limit.
+ * Is only used in MemoryDriver, but is added here for fullness.
+ * @param {Array.<Object>} entities
+ *      The entities to aggregate
+ * @returns {Array.<Object>} The rows: { groupField: value, .., accumulator: value, .. }
+ */
+MissyAggregate.prototype.entitiesAggregate = function(entities){
+    var self = this;
+
+    // Group the matching entities
+    var groups = [],
+        groupIndex = {};
+    if (_.isEmpty(this.group))
+        groupIndex['[]'] = groups.push([]) - 1; // a single row, even when there are no entities
+    _.each(entities, function(entity){
+        if (!self.criteria.entityMatch(entity))
+            return;
+        var key = JSON.stringify(_.map(self.group, function(fieldName){
+            return path.get(entity, fieldName);
+        }));
+        if (!(key in groupIndex))
+            groupIndex[key] = groups.push([]) - 1;
+        groups[groupIndex[key]].push(entity);
+    });
+
+    // Rows
+    var rows = _.map(groups, function(group){
+        var row = group.length? path.pick(group[0], self.group) : {};
+        _.each(self.accumulators, function(accumulator, name){
+            row[name] = MissyAggregate.accumulate(accumulator, group);
+        });
+        return row;
+    });
+
+    // Sort, skip, limit
+    return this.sort.entitiesSort(rows)
+        .slice(this.skip, this.limit? this.skip + this.limit : undefined);
+};
+
+/** Convert a row loaded from the DB: group fields and $min/$max accumulators go through the 'load' type handler method.
+ * @param {Object} row
+ * @returns {Object} The converted row
+ */
+MissyAggregate.prototype.rowImport = function(row){
+    var converter = this.model.converter;
+    _.each(this.group, function(fieldName){
+        if (path.has(row, fieldName))
+            path.set(row, fieldName, converter.convertValue(fieldName, 'load', path.get(row, fieldName), true));
+    });
+    _.each(this.accumulators, function(accumulator, name){
+        var operator = _.keys(accumulator)[0];
+        if (_.contains(['$min', '$max'], operator) && !_.isNull(row[name]) && !_.isUndefined(row[name]))
+            row[name] = converter.convertValue(accumulator[operator], 'load', row[name], true);
+    });
+    return row;
+};
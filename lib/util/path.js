@@ -0,0 +1,155 @@
+'use strict';
+
+/** Dot-notation paths into nested fields: 'address.city'
+ * Serialized JSON values met on the way (the 'json' type) are parsed transparently, and serialized back on write.
+ * @fileOverview
+ */
+
+var _ = require('lodash')
+    ;
+
+/** Split a path into keys
+ * @param {String|Array.<String>} path
+ * @returns {Array.<String>}
+ */
+var split = exports.split = function(path){
+    return _.isArray(path)? path : String(path).split('.');
+};
+
+/** Test whether the path is nested: contains a '.'
+ * @param {String} path
+ * @returns {Boolean}
+ */
+exports.isNested = function(path){
+    return String(path).indexOf('.') !== -1;
+};
+
+/** Get the top-level field name of the path
+ * @param {String} path
+ * @returns {String}
+ */
+exports.root = function(path){
+    return split(path)[0];
+};
+
+/** Parse a serialized JSON object or array. Other values are returned unchanged.
+ * @param {*} value
+ * @returns {{ value: *, json: Boolean }}
+ */
+var unwrap = function(value){
+    if (_.isString(value) && /^\s*[\[{]/.test(value))
+        try { return { value: JSON.parse(value), json: true }; }
+        catch(e){}
+    return { value: value, json: false };
+};
+
+/** Get the value at the path
+ * @param {Object} obj
+ * @param {String|Array.<String>} path
+ * @returns {*} The value, or `undefined` when the path does not exist
+ */
+var get = exports.get = function(obj, path){
+    return _.reduce(split(path), function(value, key, i){
+        if (i > 0)
+            value = unwrap(value).value;
+        return _.isObject(value)? value[key] : undefined;
+    }, obj);
+};
+
+/** Test whether the path exists
+ * @param {Object} obj
+ * @param {String|Array.<String>} path
+ * @returns {Boolean}
+ */
+exports.has = function(obj, path){
+    var keys = split(path),
+        parent = keys.length > 1? unwrap(get(obj, keys.slice(0, -1))).value : obj;
+    return _.isObject(parent) && (_.last(keys) in parent);
+};
+
+/** Set the value at the path, in-place.
+ * Missing intermediate objects are created.
+ * @param {Object} obj
+ * @param {String|Array.<String>} path
+ * @param {*} value
+ * @returns {Object} obj
+ */
+var set = exports.set = function(obj, path, value){
+    var keys = split(path),
+        key = keys[0];
+
+    if (keys.length === 1)
+        obj[key] = value;
+    else {
+        var child = unwrap(obj[key]);
+        if (!_.isObject(child.value))
+            child.value = {};
+        set(child.value, keys.slice(1), value);
+        obj[key] = child.json? JSON.stringify(child.value) : child.value;
+    }
+    return obj;
+};
+
+/** Remove the value at the path, in-place.
+ * @param {Object} obj
+ * @param {String|Array.<String>} path
+ * @returns {Object} obj
+ */
+var unset = exports.unset = function(obj, path){
+    var keys = split(path),
+        key = keys[0];
+
+    if (!_.isObject(obj) || !(key in obj))
+        return obj;
+
+    if (keys.length === 1)
+        delete obj[key];
+    else {
+        var child = unwrap(obj[key]);
+        if (!_.isObject(child.value))
+            return obj;
+        unset(child.value, keys.slice(1));
+        obj[key] = child.json? JSON.stringify(child.value) : child.value;
+    }
+    return obj;
+};
+
+/** Make a copy of the object with only the named paths
+ * @param {Object} obj
+ * @param {Array.<String>} paths
+ * @returns {Object}
+ */
+exports.pick = function(obj, paths){
+    return _.transform(paths, function(res, path){
+        if (exports.has(obj, path))
+            set(res, path, get(obj, path));
+    }, {});
+};
+
+/** Make a copy of the object without the named paths.
+ * The original object is not modified: nested objects on the way are copied.
+ * @param {Object} obj
+ * @param {Array.<String>} paths
+ * @returns {Object}
+ */
+exports.omit = function(obj, paths){
+    return _.reduce(paths, function(obj, path){
+        var keys = split(path),
+            key = keys[0];
+
+        if (!_.isObject(obj) || !(key in obj))
+            return obj;
+
+        obj = _.clone(obj);
+        if (keys.length === 1)
+            delete obj[key];
+        else {
+            var child = unwrap(obj[key]);
+            if (_.isObject(child.value)){
+                child.value = exports.omit(child.value, [keys.slice(1)]);
+                obj[key] = child.json? JSON.stringify(child.value) : child.value;
+            }
+        }
+        return obj;
+    }, obj);
+};
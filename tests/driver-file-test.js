@@ -0,0 +1,364 @@
+'use strict';
+
+var Q = require('q'),
+    _ = require('lodash'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    Schema = require('../lib').Schema,
+    FileDriver = require('../lib').drivers.file,
+    errors = require('../lib/errors'),
+    common = require('./common'),
+    commonDriverTest = require('./driver-common').commonDriverTest
+    ;
+
+Q.longStackSupport = true;
+
+/** Make up a temporary directory
+ * @returns {String}
+ */
+var tmpDir = function(){
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'missy-'));
+};
+
+/** Remove a directory with its contents
+ * @param {String} dir
+ */
+var rmDir = function(dir){
+    if (!fs.existsSync(dir))
+        return;
+    _.each(fs.readdirSync(dir), function(fileName){
+        var file = path.join(dir, fileName);
+        if (fs.statSync(file).isDirectory())
+            rmDir(file);
+        else
+            fs.unlinkSync(file);
+    });
+    fs.rmdirSync(dir);
+};
+
+/** Make up a test of FileDriver with the common driver tests
+ * @param {Object} [options]
+ *      FileDriver options
+ * @returns {function(test)}
+ */
+var commonTest = function(options){
+    return function(test){
+        var dir = tmpDir(),
+            schema = options? new Schema(new FileDriver('file:' + dir, options), {}) : new Schema('file:' + dir, {}),
+            tests = commonDriverTest(test, schema).tests
+            ;
+
+        // Helpers
+        var shouldNever = common.shouldNeverFunc(test);
+
+        test.ok(schema.driver instanceof FileDriver);
+        test.equal(schema.driver.dir, dir);
+
+        return [
+            function(){
+                return schema.connect();
+            }
+        ].concat(_.values(tests)).concat([
+            function(){
+                return schema.disconnect();
+            }
+        ]).reduce(Q.when, Q())
+            .catch(shouldNever('Test error'))
+            .finally(function(){
+                rmDir(dir);
+                test.done();
+            })
+            .done();
+    };
+};
+
+/** Test FileDriver with the common driver tests
+ * @param {test|assert} test
+ */
+exports.testFileDriver_common = commonTest();
+
+/** Test FileDriver with the write-ahead log with the common driver tests
+ * @param {test|assert} test
+ */
+exports.testFileDriver_commonLog = commonTest({ log: true, snapshotEvery: 3 });
+
+/** Test FileDriver persistence
+ * @param {test|assert} test
+ */
+exports.testFileDriver_persistence = function(test){
+    var dir = path.join(tmpDir(), 'data'); // created on connect
+
+    // Schema & models
+    var define = function(options){
+        var schema = new Schema(new FileDriver('file:' + dir, options), {});
+        return {
+            schema: schema,
+            User: schema.define('User', {
+                id: Number,
+                login: String,
+                ctime: Date,
+                tags: Array
+            }, { pk: 'id', indexes: [ { fields: 'login', unique: true } ] })
+        };
+    };
+
+    var first = define(),
+        User = first.User,
+        ctime = new Date('2014-01-01T00:00:00Z');
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    var renames = [],
+        rename = fs.rename;
+
+    return [
+        // Write
+        function(){
+            return first.schema.connect();
+        },
+        function(){
+            return User.insert([
+                { id: 1, login: 'a', ctime: ctime, tags: ['x'] },
+                { id: 2, login: 'b', ctime: ctime, tags: [] }
+            ]);
+        },
+        function(){
+            test.deepEqual(fs.readdirSync(dir), ['users.ndjson']); // saved before resolving
+            test.equal(fs.readFileSync(path.join(dir, 'users.ndjson'), 'utf8').split('\n').length, 3);
+        },
+        // Saved atomically
+        function(){
+            fs.rename = function(from, to, callback){
+                renames.push([ path.basename(from), path.basename(to) ]);
+                return rename.apply(this, arguments);
+            };
+            return User.updateQuery({ id: 2 }, { $set: { login: 'c' } })
+                .then(function(){
+                    return User.updateQuery({ id: 9 }, { $set: { login: 'z' } }); // nothing to save
+                })
+                .then(function(user){
+                    test.strictEqual(user, null);
+                    return first.schema.disconnect(); // nothing to flush
+                })
+                .finally(function(){
+                    fs.rename = rename;
+                });
+        },
+        function(){
+            test.deepEqual(renames, [ ['users.ndjson.tmp', 'users.ndjson'] ]);
+            test.deepEqual(fs.readdirSync(dir), ['users.ndjson']);
+            test.deepEqual(fs.readFileSync(path.join(dir, 'users.ndjson'), 'utf8').split('\n'), [
+                '{"id":1,"login":"a","ctime":{"$date":"2014-01-01T00:00:00.000Z"},"tags":["x"]}',
+                '{"id":2,"login":"c","ctime":{"$date":"2014-01-01T00:00:00.000Z"},"tags":[]}',
+                ''
+            ]);
+        },
+        // Reload on connect
+        function(){
+            var second = define();
+            User = second.User;
+            return second.schema.connect()
+                .then(function(){
+                    return User.find({ ctime: { $lte: ctime } });
+                })
+                .then(function(users){
+                    test.deepEqual(users, [
+                        { id: 1, login: 'a', ctime: ctime, tags: ['x'] },
+                        { id: 2, login: 'c', ctime: ctime, tags: [] }
+                    ]);
+                    test.ok(users[0].ctime instanceof Date);
+                    return User.insert({ id: 3, login: 'a' }) // indexes are rebuilt
+                        .then(shouldNever('Test: unique violation after reload'))
+                        .catch(function(e){
+                            test.ok(e instanceof errors.EntityExists);
+                        });
+                })
+                .then(function(){
+                    return User.remove({ id: 1 });
+                })
+                .then(function(){
+                    test.equal(fs.readFileSync(path.join(dir, 'users.ndjson'), 'utf8').split('\n').length, 2);
+                    return second.schema.disconnect();
+                });
+        },
+        // JSON format
+        function(){
+            var third = define({ format: 'json' });
+            return third.schema.connect()
+                .then(function(){
+                    return third.User.insert({ id: 1, login: 'z' });
+                })
+                .then(function(){
+                    return third.schema.disconnect();
+                })
+                .then(function(){
+                    test.deepEqual(fs.readdirSync(dir).sort(), ['users.json', 'users.ndjson']);
+                    test.equal(fs.readFileSync(path.join(dir, 'users.json'), 'utf8'), '[{"id":1,"login":"z"}]');
+                });
+        },
+        // Malformed files
+        function(){
+            fs.writeFileSync(path.join(dir, 'users.ndjson'), '{"id":1}\n{"id":');
+            var driver = new FileDriver(dir);
+            return driver.connect()
+                .then(shouldNever('Test: malformed file'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyDriverError);
+                    test.ok(!driver.connected);
+                });
+        }
+    ].reduce(Q.when, Q())
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            rmDir(path.dirname(dir));
+            test.done();
+        })
+        .done();
+};
+
+/** Test FileDriver write-ahead log
+ * @param {test|assert} test
+ */
+exports.testFileDriver_log = function(test){
+    var dir = tmpDir(),
+        logFile = path.join(dir, 'wal.log');
+
+    // Schema & models
+    var define = function(){
+        var schema = new Schema(new FileDriver('file:' + dir, { log: true, snapshotEvery: 5 }), {});
+        return {
+            schema: schema,
+            User: schema.define('User', {
+                id: Number,
+                login: String,
+                ctime: Date
+            }, { pk: 'id' })
+        };
+    };
+
+    var first = define(),
+        second,
+        ctime = new Date('2014-01-01T00:00:00Z');
+
+    /** Read the log records
+     * @returns {Array.<Object>}
+     */
+    var readLog = function(){
+        return _.map(_.compact(fs.readFileSync(logFile, 'utf8').split('\n')), function(line){
+            return JSON.parse(line.substr(9));
+        });
+    };
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    var syncs = 0,
+        fdatasync = fs.fdatasync;
+
+    return [
+        // Write: logged & synced
+        function(){
+            return first.schema.connect();
+        },
+        function(){
+            fs.fdatasync = function(fd, callback){
+                syncs++;
+                return fdatasync.apply(this, arguments);
+            };
+        },
+        function(){
+            return first.User.insert([
+                { id: 1, login: 'a', ctime: ctime },
+                { id: 2, login: 'b' }
+            ]);
+        },
+        function(){
+            return first.User.updateQuery({ id: 2 }, { $set: { login: 'c' } });
+        },
+        function(){
+            return first.User.remove({ id: 1 });
+        },
+        // Failed write: nothing logged
+        function(){
+            return first.User.insert({ id: 2, login: 'x' })
+                .then(shouldNever('Test: duplicate insert'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.EntityExists);
+                });
+        },
+        function(){
+            fs.fdatasync = fdatasync;
+            test.equal(syncs, 3);
+            test.deepEqual(fs.readdirSync(dir), ['wal.log']); // no snapshots yet
+            test.deepEqual(readLog(), [
+                { op: 'insert', table: 'users', pk: ['id'], set: [
+                    { id: 1, login: 'a', ctime: { $date: '2014-01-01T00:00:00.000Z' } },
+                    { id: 2, login: 'b' }
+                ], unset: [] },
+                { op: 'updateQuery', table: 'users', pk: ['id'], set: [ { id: 2, login: 'c' } ], unset: [] },
+                { op: 'remove', table: 'users', pk: ['id'], set: [], unset: ['[1]'] }
+            ]);
+        },
+        // Crash mid-write: replay, and truncate the torn record
+        function(){
+            fs.appendFileSync(logFile, '0123abcd {"op":"insert","tab');
+            second = define();
+            return second.schema.connect();
+        },
+        function(){
+            test.equal(readLog().length, 3);
+            return second.User.find();
+        },
+        function(users){
+            test.deepEqual(users, [ { id: 2, login: 'c' } ]);
+        },
+        // Snapshot after 5 records
+        function(){
+            return second.User.insert({ id: 3, login: 'd', ctime: ctime });
+        },
+        function(){
+            test.equal(readLog().length, 4);
+            return second.User.save({ id: 2, login: 'e' });
+        },
+        function(){
+            test.deepEqual(fs.readdirSync(dir).sort(), ['users.ndjson', 'wal.log']);
+            test.deepEqual(readLog(), []);
+            return second.User.insert({ id: 4, login: 'f' });
+        },
+        function(){
+            test.equal(readLog().length, 1);
+            return first.schema.driver._closeLog(); // the crashed one
+        },
+        // Snapshot + log
+        function(){
+            var third = define();
+            return third.schema.connect()
+                .then(function(){
+                    return third.User.find({}, {}, { id: 1 });
+                })
+                .then(function(users){
+                    test.deepEqual(users, [
+                        { id: 2, login: 'e' },
+                        { id: 3, login: 'd', ctime: ctime },
+                        { id: 4, login: 'f' }
+                    ]);
+                    return second.schema.disconnect();
+                })
+                .then(function(){
+                    return third.schema.disconnect();
+                })
+                .then(function(){
+                    test.deepEqual(readLog(), []);
+                });
+        }
+    ].reduce(Q.when, Q())
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            fs.fdatasync = fdatasync;
+            rmDir(dir);
+            test.done();
+        })
+        .done();
+};
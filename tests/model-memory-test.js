@@ -4,6 +4,7 @@ var Q = require('q'),
     _ = require('lodash'),
     Schema = require('../lib').Schema,
     MemoryDriver = require('../lib').drivers.memory,
+    u = require('../lib/util'),
     errors = require('../lib/errors'),
     common = require('./common')
     ;
@@ -432,13 +433,15 @@ exports.testModel_MemoryDriver = function(test){
                 { id: 4 },
                 { $inc: {level:1}, tags:'changed' }
             )
-                .then(shouldNever('updateQuery() upsert=false, missing'))
-                .catch(function(e){
-                    test.ok(e instanceof errors.EntityNotFound);
+                .then(function(entity){
+                    test.strictEqual(entity, null);
+                    test.equal(driver.getTable(Log).length, 3);
                     testHooks.Log.fired({
-                        beforeUpdateQuery: 1
+                        beforeUpdateQuery: 1,
+                        afterUpdateQuery: 1
                     });
-                });
+                })
+                .catch(shouldNever('updateQuery() upsert=false, missing'));
         },
 
         // updateQuery() upsert=true, existing
@@ -604,3 +607,907 @@ exports.testModel_entityPrototype = function(test){
             test.done();
         }).done();
 };
+
+
+
+/** Test dot-notation paths into nested fields
+ * @param test
+ */
+exports.testModel_nestedFields = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Model
+    var User = schema.define('User', {
+        id: Number,
+        address: Object,
+        profile: 'json'
+    }, { pk: 'id' });
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    // Test
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return User.insert([
+                { id: 1, address: { city: 'Berlin', zip: 2 }, profile: { avatar: 'a.png', age: 20 } },
+                { id: 2, address: { city: 'Paris', zip: 3 }, profile: { avatar: 'b.png', age: 30 } },
+                { id: 3, address: { city: 'Berlin', zip: 1 }, profile: { avatar: 'c.png', age: 40 } }
+            ]);
+        },
+        // find(): criteria, sort, projection
+        function(){
+            return User.find({ 'address.city': 'Berlin' }, '+id,address.zip', 'address.zip+')
+                .then(function(entities){
+                    test.deepEqual(entities, [
+                        { id: 3, address: { zip: 1 } },
+                        { id: 1, address: { zip: 2 } }
+                    ]);
+                });
+        },
+        // find(): json field
+        function(){
+            return User.find({ 'profile.age': { $gte: 30 } }, '-address,profile.avatar', 'profile.age-')
+                .then(function(entities){
+                    test.deepEqual(entities, [
+                        { id: 3, profile: { age: 40 } },
+                        { id: 2, profile: { age: 30 } }
+                    ]);
+                });
+        },
+        // updateQuery()
+        function(){
+            return User.updateQuery({ id: 2 }, { 'address.city': 'Rome', $inc: { 'profile.age': 1 } })
+                .then(function(entity){
+                    test.deepEqual(entity, { id: 2, address: { city: 'Rome', zip: 3 }, profile: { avatar: 'b.png', age: 31 } });
+                    test.strictEqual(driver.getTable(User)[1].profile, '{"avatar":"b.png","age":31}'); // still serialized
+                });
+        }
+    ].reduce(Q.when, Q(1))
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        }).done();
+};
+
+/** Test aggregate()
+ * @param {test|assert} test
+ */
+exports.testModel_aggregate = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Model
+    var User = schema.define('User', {
+        id: Number,
+        sex: String,
+        age: Number,
+        ctime: Date
+    }, { pk: 'id' });
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    // Test
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return User.insert([
+                { id: 1, sex: 'f', age: 20, ctime: new Date(2014, 0, 1) },
+                { id: 2, sex: 'm', age: 30, ctime: new Date(2014, 0, 2) },
+                { id: 3, sex: 'f', age: 40, ctime: new Date(2014, 0, 3) },
+                { id: 4, sex: 'm', age: 15, ctime: new Date(2014, 0, 4) }
+            ]);
+        },
+        // aggregate(): group, accumulators, sort
+        function(){
+            return User.aggregate({ age: { $gte: '18' } }, {
+                group: 'sex',
+                accumulators: { n: { $count: true }, age: { $avg: 'age' }, last: { $max: 'ctime' } },
+                sort: 'sex+'
+            })
+                .then(function(rows){
+                    test.deepEqual(rows, [
+                        { sex: 'f', n: 2, age: 30, last: new Date(2014, 0, 3) },
+                        { sex: 'm', n: 1, age: 30, last: new Date(2014, 0, 2) }
+                    ]);
+                    test.ok(rows[0].last instanceof Date);
+                });
+        },
+        // aggregate(): no grouping
+        function(){
+            return User.aggregate({}, { accumulators: { total: { $sum: 'age' }, youngest: { $min: 'age' } } })
+                .then(function(rows){
+                    test.deepEqual(rows, [ { total: 105, youngest: 15 } ]);
+                });
+        },
+        // aggregate(): errors
+        function(){
+            return User.aggregate({}, { accumulators: { n: { $wrong: 1 } } })
+                .then(shouldNever('aggregate() with an unknown accumulator'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyModelError);
+                });
+        },
+        function(){
+            var aggregate = driver.aggregate;
+            driver.aggregate = undefined;
+            return User.aggregate({}, { accumulators: { n: { $count: true } } })
+                .then(shouldNever('aggregate() on a driver without aggregation'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyDriverError);
+                })
+                .finally(function(){
+                    driver.aggregate = aggregate;
+                });
+        }
+    ].reduce(Q.when, Q(1))
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        }).done();
+};
+
+/** Test distinct()
+ * @param {test|assert} test
+ */
+exports.testModel_distinct = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Model
+    var User = schema.define('User', {
+        id: Number,
+        country: String,
+        age: Number,
+        ctime: Date,
+        address: Object
+    }, { pk: 'id' });
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    // Test
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return User.insert([
+                { id: 1, country: 'de', age: 20, ctime: new Date(2014, 0, 1), address: { city: 'Berlin' } },
+                { id: 2, country: 'fr', age: 30, ctime: new Date(2014, 0, 1), address: { city: 'Paris' } },
+                { id: 3, country: 'de', age: 40, ctime: new Date(2014, 0, 2), address: { city: 'Munich' } },
+                { id: 4, country: 'it', age: 15, ctime: new Date(2014, 0, 2) },
+                { id: 5, age: 25, ctime: new Date(2014, 0, 3), address: { city: 'Berlin' } }
+            ]);
+        },
+        // distinct()
+        function(){
+            return User.distinct('country')
+                .then(function(values){
+                    test.deepEqual(values, ['de', 'fr', 'it']); // missing values are skipped
+                });
+        },
+        // distinct(): criteria
+        function(){
+            return User.distinct('country', { age: { $gte: '20' } })
+                .then(function(values){
+                    test.deepEqual(values, ['de', 'fr']);
+                });
+        },
+        // distinct(): converted values
+        function(){
+            return User.distinct('ctime')
+                .then(function(values){
+                    test.strictEqual(values.length, 3);
+                    test.ok(values[0] instanceof Date);
+                    test.strictEqual(values[2].getTime(), new Date(2014, 0, 3).getTime());
+                });
+        },
+        // distinct(): nested field
+        function(){
+            return User.distinct('address.city')
+                .then(function(values){
+                    test.deepEqual(values, ['Berlin', 'Paris', 'Munich']);
+                });
+        },
+        // distinct(): chaining
+        function(){
+            return User.pick('country').sort('age-').skip(1).limit(2).distinct(undefined, { country: { $exists: true } })
+                .then(function(values){
+                    test.deepEqual(values, ['fr', 'it']); // sorted by age: de, fr, de, it
+                });
+        },
+        // distinct(): errors
+        function(){
+            return User.distinct()
+                .then(shouldNever('distinct() without a field'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyModelError);
+                });
+        },
+        function(){
+            var distinct = driver.distinct;
+            driver.distinct = undefined;
+            return User.distinct('country')
+                .then(shouldNever('distinct() on a driver without distinct queries'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyDriverError);
+                })
+                .finally(function(){
+                    driver.distinct = distinct;
+                });
+        }
+    ].reduce(Q.when, Q(1))
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        }).done();
+};
+
+/** Test find() with partitions
+ * @param {test|assert} test
+ */
+exports.testModel_findPartitioned = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Model
+    var Comment = schema.define('Comment', {
+        id: Number,
+        post_id: Number,
+        ctime: Number
+    }, { pk: 'id' });
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    // Test
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return Comment.insert([
+                { id: 1, post_id: 1, ctime: 1 },
+                { id: 2, post_id: 2, ctime: 2 },
+                { id: 3, post_id: 1, ctime: 3 },
+                { id: 4, post_id: 1, ctime: 4 },
+                { id: 5, post_id: 2, ctime: 5 },
+                { id: 6, post_id: 3, ctime: 6 }
+            ]);
+        },
+        // find(): partition limit
+        function(){
+            return Comment.find({}, {}, 'ctime-', { partition: { fields: 'post_id', limit: 2 } })
+                .then(function(comments){
+                    test.deepEqual(_.pluck(comments, 'id'), [6, 5, 4, 3, 2]);
+                });
+        },
+        // find(): partition skip, with global skip & limit
+        function(){
+            return Comment.find({ post_id: { $in: [1, 2] } }, {}, 'ctime-', { partition: { fields: ['post_id'], skip: 1 }, skip: 1, limit: 2 })
+                .then(function(comments){
+                    test.deepEqual(_.pluck(comments, 'id'), [2, 1]); // 3, 2, 1
+                });
+        },
+        // find(): driver without partitions
+        function(){
+            var findPartitioned = driver.findPartitioned;
+            driver.findPartitioned = undefined;
+            return Comment.find({}, {}, 'ctime-', { partition: { fields: 'post_id', limit: 2 } })
+                .then(shouldNever('find() with partitions on a driver without partitioned queries'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyDriverError);
+                })
+                .finally(function(){
+                    driver.findPartitioned = findPartitioned;
+                });
+        }
+    ].reduce(Q.when, Q(1))
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        }).done();
+};
+
+/** Test MemoryDriver indexes & unique constraints
+ * @param {test|assert} test
+ */
+exports.testModel_indexes = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Model
+    var User = schema.define('User', {
+        id: Number,
+        login: String,
+        group: String
+    }, { pk: 'id', indexes: [ { fields: 'login', unique: true }, 'group' ] });
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    var indexKeys = function(n){
+        return _.keys(driver.getIndexes(User)[n].rows).sort();
+    };
+
+    var shouldExist = function(title, promise){
+        return promise
+            .then(shouldNever(title))
+            .catch(function(e){
+                test.ok(e instanceof errors.EntityExists, title);
+            });
+    };
+
+    // Test
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return User.insert([
+                { id: 1, login: 'a', group: 'a' },
+                { id: 2, login: 'b', group: 'b' },
+                { id: 3, login: 'c', group: 'a' },
+                { id: 4, login: null, group: 'b' },
+                { id: 5, group: 'b' } // nulls are not unique
+            ]);
+        },
+        function(){
+            test.deepEqual(indexKeys(0), ['[1]', '[2]', '[3]', '[4]', '[5]']);
+            test.deepEqual(indexKeys(1), ['["a"]', '["b"]', '["c"]', '[null]']);
+            test.deepEqual(indexKeys(2), ['["a"]', '["b"]']);
+        },
+        // Lookups: table order is kept
+        function(){
+            return Q.all([
+                User.find({ group: 'a' }),
+                User.find({ group: { $in: ['b', 'a'] }, id: { $gt: 1 } }),
+                User.findOne({ login: 'b' }),
+                User.count({ group: 'b' }),
+                User.find({ id: { $in: [3, 1, 9] } })
+            ]).spread(function(a, ab, b, count, pk){
+                test.deepEqual(_.pluck(a, 'id'), [1, 3]);
+                test.deepEqual(_.pluck(ab, 'id'), [2, 3, 4, 5]);
+                test.deepEqual(b, { id: 2, login: 'b', group: 'b' });
+                test.equal(count, 3);
+                test.deepEqual(_.pluck(pk, 'id'), [1, 3]);
+            });
+        },
+        // Unique violations
+        function(){
+            return shouldExist('insert() duplicate PK', User.insert({ id: 1, login: 'z' }));
+        },
+        function(){
+            return shouldExist('insert() duplicate login', User.insert({ id: 9, login: 'a' }));
+        },
+        function(){
+            return shouldExist('update() duplicate login', User.update({ id: 2, login: 'a' }));
+        },
+        function(){
+            return shouldExist('save() duplicate login', User.save({ id: 9, login: 'b' }));
+        },
+        function(){
+            return shouldExist('updateQuery() duplicate login', User.updateQuery({ id: 3 }, { $set: { login: 'a' } }));
+        },
+        function(){
+            return shouldExist('updateQuery() duplicate PK, multi', User.updateQuery({ id: { $in: [3, 4] } }, { $inc: { id: 1 } }, { multi: true })); // 3 -> 4 is fine, 4 -> 5 is not
+        },
+        function(){
+            return shouldExist('updateQuery() duplicate logins among the rows', User.updateQuery({ id: { $in: [2, 3] } }, { $set: { login: 'z' } }, { multi: true }));
+        },
+        function(){
+            return User.find({ id: { $in: [2, 3] } })
+                .then(function(users){
+                    test.deepEqual(_.pluck(users, 'login'), ['b', 'c']); // intact
+                    test.deepEqual(_.pluck(driver.getTable(User), 'id'), [1, 2, 3, 4, 5]);
+                });
+        },
+        // Updates maintain the indexes
+        function(){
+            return User.update({ id: 1, login: 'a', group: 'c' })
+                .then(function(){
+                    return User.updateQuery({ group: 'a' }, { $set: { group: 'c', login: 'x' } });
+                })
+                .then(function(){
+                    test.deepEqual(indexKeys(1), ['["a"]', '["b"]', '["x"]', '[null]']);
+                    test.deepEqual(indexKeys(2), ['["b"]', '["c"]']);
+                    return User.find({ group: 'c' });
+                })
+                .then(function(users){
+                    test.deepEqual(users, [
+                        { id: 1, login: 'a', group: 'c' },
+                        { id: 3, login: 'x', group: 'c' }
+                    ]);
+                });
+        },
+        // Removals maintain the indexes
+        function(){
+            return User.removeQuery({ group: 'c' })
+                .then(function(){
+                    return User.remove({ id: 2 });
+                })
+                .then(function(){
+                    test.deepEqual(indexKeys(0), ['[4]', '[5]']);
+                    test.deepEqual(indexKeys(1), ['[null]']);
+                    test.deepEqual(indexKeys(2), ['["b"]']);
+                    return User.insert({ id: 1, login: 'a' }); // no longer conflicts
+                })
+                .then(function(){
+                    return User.update({ id: 4, login: 'd', group: 'b' });
+                })
+                .then(function(){
+                    test.deepEqual(_.pluck(driver.getTable(User), 'id'), [4, 5, 1]);
+                    return User.find({ id: { $in: [1, 5, 4] } });
+                })
+                .then(function(users){
+                    test.deepEqual(_.pluck(users, 'id'), [4, 5, 1]); // table order
+                });
+        },
+        // The primary key is unique even with nulls
+        function(){
+            return User.insert({ login: 'n' })
+                .then(function(){
+                    return shouldExist('insert() duplicate null PK', User.insert({ login: 'm' }));
+                });
+        }
+    ].reduce(Q.when, Q(1))
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        }).done();
+};
+
+/** Test MemoryDriver isolation: entities are never shared between the caller and the storage
+ * @param {test|assert} test
+ */
+exports.testModel_isolation = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Model
+    var User = schema.define('User', {
+        id: Number,
+        tags: Array,
+        profile: Object
+    }, { pk: 'id' });
+
+    // Driver calls
+    var all = function(driver){
+        return driver.find(User, new u.MissyCriteria(User, {}), new u.MissyProjection(), new u.MissySort(), { skip: 0, limit: 0 });
+    };
+    var original = function(){
+        return { id: 1, tags: ['a'], profile: { name: 'a' } };
+    };
+    var mutate = function(entity){
+        entity.tags.push('x');
+        entity.profile.name = 'x';
+        entity.id = 2;
+    };
+
+    // Writes
+    var entity = original(),
+        inserted = driver.insert(User, [entity], {})[0];
+    mutate(entity);
+    mutate(inserted);
+    test.deepEqual(all(driver), [ original() ]);
+
+    entity = original();
+    var updated = driver.update(User, [entity], {})[0];
+    mutate(entity);
+    mutate(updated);
+    test.deepEqual(all(driver), [ original() ]);
+
+    mutate(driver.save(User, [ original() ], {})[0]);
+    mutate(driver.updateQuery(User, new u.MissyCriteria(User, { id: 1 }), new u.MissyUpdate(User, { $set: { tags: ['a'] } }), { multi: true })[0]);
+    test.deepEqual(all(driver), [ original() ]);
+
+    // Reads
+    mutate(all(driver)[0]);
+    mutate(driver.findOne(User, new u.MissyCriteria(User, { id: 1 }), new u.MissyProjection(), new u.MissySort(), {}));
+    driver.distinct(User, 'profile', new u.MissyCriteria(User, {}), new u.MissySort(), { skip: 0, limit: 0 })[0].name = 'x';
+    test.deepEqual(all(driver), [ original() ]);
+    test.notStrictEqual(all(driver)[0], all(driver)[0]);
+
+    // Removal
+    mutate(driver.remove(User, [ original() ], {})[0]);
+    test.deepEqual(all(driver), []);
+
+    // No isolation
+    var fastDriver = new MemoryDriver(undefined, { isolation: false });
+    entity = original();
+    test.strictEqual(fastDriver.insert(User, [entity], {})[0], entity);
+    test.strictEqual(all(fastDriver)[0], entity);
+
+    test.done();
+};
+
+/** Test stream()
+ * @param {test|assert} test
+ */
+exports.testModel_stream = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Model
+    var Log = schema.define('Log', {
+        id: Number,
+        level: Number,
+        msg: String
+    }, { pk: 'id' });
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    /** Read the stream to the end
+     * @param {MissyCursor} cursor
+     * @returns {Q} -> entities
+     */
+    var readAll = function(cursor){
+        var d = Q.defer(),
+            entities = [];
+        cursor.on('data', function(entity){ entities.push(entity); });
+        cursor.on('end', function(){ d.resolve(entities); });
+        cursor.on('error', d.reject);
+        return d.promise;
+    };
+
+    // Hooks
+    var batches = [], beforeFind = 0;
+    Log.hooks.on('beforeFind', function(){ beforeFind++; });
+    Log.hooks.on('afterFind', function(entities){ batches.push(entities.length); });
+
+    // Test
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return Log.insert(_.map(_.range(1, 26), function(id){
+                return { id: id, level: id % 3, msg: 'log ' + id };
+            }));
+        },
+        // stream(): everything
+        function(){
+            var cursor = Log.stream({}, {}, {}, { batchSize: 10 });
+            test.ok(cursor instanceof require('stream').Readable);
+            return readAll(cursor)
+                .then(function(entities){
+                    test.strictEqual(entities.length, 25);
+                    test.deepEqual(entities[24], { id: 25, level: 1, msg: 'log 25' });
+                    test.strictEqual(beforeFind, 1);
+                    test.deepEqual(batches, [10, 10, 5]);
+                    test.ok(cursor._closed); // exhausted
+                });
+        },
+        // stream(): criteria, chaining
+        function(){
+            batches = [];
+            return readAll(Log.pick('id').sort('id-').skip(2).limit(5).stream({ level: '0' }, undefined, undefined, { batchSize: 2 }))
+                .then(function(entities){
+                    test.deepEqual(entities, [ {id: 18}, {id: 15}, {id: 12}, {id: 9}, {id: 6} ]);
+                    test.deepEqual(batches, [2, 2, 1]);
+                });
+        },
+        // stream(): paged fallback for drivers without cursors
+        function(){
+            var cursor = driver.cursor,
+                find = driver.find,
+                pages = [];
+            driver.cursor = undefined;
+            driver.find = function(model, criteria, fields, sort, options){
+                pages.push([options.skip, options.limit]);
+                return find.apply(this, arguments);
+            };
+            return readAll(Log.stream({ level: { $gt: 0 } }, '+id', 'id+', { skip: 1, limit: 12, batchSize: 5 }))
+                .then(function(entities){
+                    test.deepEqual(_.pluck(entities, 'id'), [2, 4, 5, 7, 8, 10, 11, 13, 14, 16, 17, 19]);
+                    test.deepEqual(pages, [ [1, 5], [6, 5], [11, 2] ]);
+                })
+                .finally(function(){
+                    driver.cursor = cursor;
+                    driver.find = find;
+                });
+        },
+        // stream(): close() early
+        function(){
+            var d = Q.defer(),
+                entities = [],
+                cursor = Log.stream({}, {}, 'id+', { batchSize: 3 });
+            cursor.on('data', function(entity){
+                entities.push(entity);
+                if (entities.length === 4)
+                    cursor.close();
+            });
+            cursor.on('end', function(){ d.resolve(); });
+            return d.promise.then(function(){
+                test.deepEqual(_.pluck(entities, 'id'), [1, 2, 3, 4]);
+            });
+        },
+        // stream(): destroy() releases the driver cursor
+        function(){
+            var cursor = Log.stream({}, {}, 'id+', { batchSize: 3 }),
+                d = Q.defer();
+            var driverCursor = driver.cursor,
+                released = 0;
+            driver.cursor = function(){
+                return Q.when(driverCursor.apply(this, arguments))
+                    .then(function(c){
+                        var close = c.close;
+                        c.close = function(){
+                            released++;
+                            return close.apply(this, arguments);
+                        };
+                        return c;
+                    });
+            };
+            cursor.once('data', function(){
+                cursor.destroy();
+            });
+            cursor.on('close', function(){ d.resolve(); });
+            return d.promise
+                .then(function(){
+                    test.strictEqual(released, 1);
+                })
+                .finally(function(){
+                    driver.cursor = driverCursor;
+                });
+        },
+        // stream(): invalid criteria
+        function(){
+            var cursor;
+            test.doesNotThrow(function(){
+                cursor = Log.stream({ id: { $wrong: 1 } });
+            });
+            return readAll(cursor)
+                .then(shouldNever('stream() with invalid criteria'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyModelError);
+                });
+        },
+        // stream(): errors
+        function(){
+            var hook = Log.hooks.registerHook('afterFind', function(){
+                throw new Error('Hook failed');
+            });
+            var cursor = Log.stream();
+            return Q.all([
+                readAll(cursor)
+                    .then(shouldNever('stream() with a failing hook'))
+                    .catch(function(e){
+                        test.strictEqual(e.message, 'Hook failed');
+                    }),
+                Q.nfcall(require('stream').finished, cursor)
+                    .then(shouldNever('stream() with a failing hook: finished'))
+                    .catch(function(e){
+                        test.strictEqual(e.message, 'Hook failed');
+                        test.ok(cursor.destroyed);
+                    })
+            ])
+                .finally(function(){
+                    Log.hooks.unregisterHook('afterFind', hook);
+                });
+        }
+    ].reduce(Q.when, Q(1))
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        }).done();
+};
+
+/** Test paginate()
+ * @param {test|assert} test
+ */
+exports.testModel_paginate = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Model
+    var Post = schema.define('Post', {
+        id: Number,
+        score: Number,
+        title: String,
+        ctime: Date
+    }, { pk: 'id' });
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    var ids = function(page){
+        return _.pluck(page.entities, 'id');
+    };
+
+    // Test
+    var page;
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return Post.insert([
+                { id: 1, score: 5, title: 'e', ctime: new Date(2014, 0, 1) },
+                { id: 2, score: 3, title: 'b', ctime: new Date(2014, 0, 2) },
+                { id: 3, score: 5, title: 'a', ctime: new Date(2014, 0, 3) },
+                { id: 4, score: 1, title: 'c', ctime: new Date(2014, 0, 4) },
+                { id: 5, score: 3, title: 'b', ctime: new Date(2014, 0, 5) },
+                { id: 6, score: 5, title: 'a', ctime: new Date(2014, 0, 6) },
+                { id: 7, score: 2, title: 'd', ctime: new Date(2014, 0, 7) },
+                { id: 8, score: 3, title: 'a', ctime: new Date(2014, 0, 8) }
+            ]);
+        },
+        // Order: score-, id- : 6, 3, 1, 8, 5, 2, 7, 4
+        function(){
+            return Post.paginate({ limit: 3 }, {}, {}, 'score-')
+                .then(function(p){
+                    page = p;
+                    test.deepEqual(ids(page), [6, 3, 1]);
+                    test.ok(page.hasMore);
+                    test.strictEqual(page.prevCursor, null);
+                    test.ok(_.isString(page.nextCursor));
+                });
+        },
+        function(){
+            return Post.paginate({ limit: 3, after: page.nextCursor }, {}, {}, 'score-')
+                .then(function(p){
+                    page = p;
+                    test.deepEqual(ids(page), [8, 5, 2]);
+                    test.ok(page.hasMore);
+                    test.ok(_.isString(page.prevCursor));
+                });
+        },
+        // Data changes between pages: no duplicates, no missing rows
+        function(){
+            return Post.remove({ id: 6 });
+        },
+        function(){
+            return Post.paginate({ limit: 3, after: page.nextCursor }, {}, {}, 'score-')
+                .then(function(p){
+                    page = p;
+                    test.deepEqual(ids(page), [7, 4]);
+                    test.ok(!page.hasMore);
+                    test.strictEqual(page.nextCursor, null);
+                });
+        },
+        // Backwards
+        function(){
+            return Post.paginate({ limit: 3, before: page.prevCursor }, {}, {}, 'score-')
+                .then(function(p){
+                    page = p;
+                    test.deepEqual(ids(page), [8, 5, 2]);
+                    test.ok(page.hasMore);
+                    test.ok(_.isString(page.nextCursor));
+                });
+        },
+        function(){
+            return Post.paginate({ limit: 3, before: page.prevCursor }, {}, {}, 'score-')
+                .then(function(p){
+                    page = p;
+                    test.deepEqual(ids(page), [3, 1]); // 6 is removed
+                    test.ok(!page.hasMore);
+                    test.strictEqual(page.prevCursor, null);
+                });
+        },
+        // Compound sort, criteria, chaining
+        // Order: title+, ctime- : 8, 3, 5, 2, 4, 7, 1
+        function(){
+            return Post.sort('title+,ctime-').limit(2).pick('+id,title,ctime').paginate({}, { score: { $gt: '1' } })
+                .then(function(p){
+                    page = p;
+                    test.deepEqual(page.entities, [
+                        { id: 8, title: 'a', ctime: new Date(2014, 0, 8) },
+                        { id: 3, title: 'a', ctime: new Date(2014, 0, 3) }
+                    ]);
+                });
+        },
+        function(){
+            return Post.sort('title+,ctime-').limit(2).paginate({ after: page.nextCursor }, { score: { $gt: '1' } })
+                .then(function(p){
+                    page = p;
+                    test.deepEqual(ids(page), [5, 2]);
+                });
+        },
+        function(){
+            return Post.sort('title+,ctime-').paginate({ limit: 5, after: page.nextCursor }, { score: { $gt: '1' } })
+                .then(function(p){
+                    page = p;
+                    test.deepEqual(ids(page), [7, 1]);
+                    test.ok(!page.hasMore);
+                });
+        },
+        // Errors
+        function(){
+            return Post.paginate({ after: 'garbage' })
+                .then(shouldNever('paginate() with an invalid cursor'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyModelError);
+                });
+        },
+        function(){
+            return Post.paginate({ after: page.nextCursor || page.prevCursor }, {}, {}, 'score-')
+                .then(shouldNever('paginate() with a cursor for a different sort'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyModelError);
+                });
+        },
+        function(){
+            return Post.paginate({}, {}, '+title', 'score-')
+                .then(shouldNever('paginate() with a projection that drops the keys'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyModelError);
+                });
+        },
+        // Criteria values are converted once
+        function(){
+            var Item = schema.define('Item', {
+                id: Number,
+                meta: 'json'
+            }, { pk: 'id' });
+            return Item.insert([ { id: 1, meta: { a: 1 } }, { id: 2, meta: { a: 1 } }, { id: 3, meta: { a: 2 } } ])
+                .then(function(){
+                    return Item.paginate({ limit: 1 }, { meta: { a: 1 } }, {}, 'id+');
+                })
+                .then(function(p){
+                    test.deepEqual(ids(p), [1]);
+                    return Item.paginate({ limit: 1, after: p.nextCursor }, { meta: { a: 1 } }, {}, 'id+');
+                })
+                .then(function(p){
+                    test.deepEqual(ids(p), [2]);
+                    test.ok(!p.hasMore);
+                });
+        },
+        // Dates shared by several entities
+        function(){
+            var Event = schema.define('Event', {
+                id: Number,
+                ctime: Date
+            }, { pk: 'id' });
+            var pages = [];
+            var next = function(cursor){
+                return Event.paginate({ limit: 2, after: cursor }, {}, {}, 'ctime+')
+                    .then(function(p){
+                        pages.push(ids(p));
+                        return p.hasMore? next(p.nextCursor) : pages;
+                    });
+            };
+            return Event.insert(_.map([ 3, 1, 3, 2, 1, 2, 1 ], function(t, i){
+                return { id: i + 1, ctime: new Date(t * 1000) };
+            }))
+                .then(function(){
+                    return Event.find({ ctime: new Date(1000) }, {}, 'id+');
+                })
+                .then(function(events){
+                    test.deepEqual(_.pluck(events, 'id'), [2, 5, 7]);
+                    return next();
+                })
+                .then(function(pages){
+                    test.deepEqual(pages, [ [2, 5], [7, 4], [6, 1], [3] ]);
+                });
+        }
+    ].reduce(Q.when, Q(1))
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        }).done();
+};
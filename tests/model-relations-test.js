@@ -578,3 +578,1421 @@ exports.testModelSaveRelated = function(test){
         })
         .done();
 };
+
+/** Test hasManyThrough relations
+ * @param {test|assert} test
+ */
+exports.testHasManyThrough = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Models
+    var User = schema.define('User', {
+        id: Number,
+        login: String
+    }, { pk: 'id' });
+
+    var Group = schema.define('Group', {
+        id: Number,
+        title: String
+    }, { pk: 'id' });
+
+    var Membership = schema.define('Membership', {
+        uid: Number,
+        gid: Number
+    }, { pk: ['uid', 'gid'] });
+
+    // Relations
+    User.hasManyThrough('groups', Group, Membership, {'id':'uid'}, {'id':'gid'});
+    Group.hasManyThrough('users', User, Membership, {'id':'gid'}, {'id':'uid'});
+
+    // Structure
+    test.deepEqual(User.relations.groups.localFields, {'id':'uid'});
+    test.deepEqual(User.relations.groups.foreignFields, {'id':'gid'});
+    test.strictEqual(User.relations.groups.through, Membership);
+    test.ok(User.relations.groups.arrayRelation);
+
+    test.throws(function(){
+        User.hasManyThrough('any', Group, Membership, {'id':'???'}, {'id':'gid'});
+    }, errors.MissyRelationError);
+    test.throws(function(){
+        User.hasManyThrough('any', Group, Membership, {'id':'uid'}, {'???':'gid'});
+    }, errors.MissyRelationError);
+    test.throws(function(){
+        User.hasManyThrough('any', Group, {}, {'id':'uid'}, {'id':'gid'});
+    }, errors.MissyRelationError);
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return Q.all([
+                User.insert([ { id: 1, login: 'a' }, { id: 2, login: 'b' }, { id: 3, login: 'c' } ]),
+                Group.insert([ { id: 1, title: 'admins' }, { id: 2, title: 'users' }, { id: 3, title: 'guests' } ]),
+                Membership.insert([ { uid: 1, gid: 1 }, { uid: 1, gid: 2 }, { uid: 2, gid: 2 } ])
+            ]);
+        },
+        // loadRelated()
+        function(){
+            return User.withRelated('groups', undefined, 'id-').find({}, {}, 'id+')
+                .then(function(users){
+                    test.deepEqual(users, [
+                        { id: 1, login: 'a', groups: [ { id: 2, title: 'users' }, { id: 1, title: 'admins' } ] },
+                        { id: 2, login: 'b', groups: [ { id: 2, title: 'users' } ] },
+                        { id: 3, login: 'c', groups: [] }
+                    ]);
+                });
+        },
+        // loadRelated(): deep
+        function(){
+            return User.withRelated('groups').withRelated('groups.users', '+id').findOne({ id: 2 })
+                .then(function(user){
+                    test.deepEqual(user, {
+                        id: 2, login: 'b',
+                        groups: [ { id: 2, title: 'users', users: [ { id: 1 }, { id: 2 } ] } ]
+                    });
+                });
+        },
+        // loadRelated(): projection drops foreign keys
+        function(){
+            return User.loadRelated([ { id: 1 } ], 'groups', '+title')
+                .then(shouldNever('Projection drops foreign keys'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyRelationError);
+                });
+        },
+        // saveRelated(): sync the links
+        function(){
+            return User.withRelated('groups').save([
+                { id: 1, login: 'a', groups: [ { id: 2, title: 'users' }, { id: 4, title: 'new' } ] }, // drop 1, keep 2, add 4
+                { id: 3, login: 'c', groups: [ { id: 3, title: 'guests!' } ] } // add 3, save the group
+            ])
+                .then(function(users){
+                    test.deepEqual(users, [ { id: 1, login: 'a' }, { id: 3, login: 'c' } ]);
+                    test.deepEqual(_.sortBy(driver.getTable(Membership), ['uid', 'gid']), [
+                        { uid: 1, gid: 2 },
+                        { uid: 1, gid: 4 },
+                        { uid: 2, gid: 2 }, // untouched
+                        { uid: 3, gid: 3 }
+                    ]);
+                    test.deepEqual(driver.getTable(Group), [
+                        { id: 1, title: 'admins' }, // kept
+                        { id: 2, title: 'users' },
+                        { id: 3, title: 'guests!' },
+                        { id: 4, title: 'new' }
+                    ]);
+                });
+        },
+        // saveRelated(): no related entities
+        function(){
+            return User.withRelated('groups').save({ id: 3, login: 'c', groups: [] })
+                .then(function(){
+                    test.deepEqual(_.pluck(_.where(driver.getTable(Membership), { uid: 3 }), 'gid'), []);
+                });
+        },
+        // removeRelated(): remove the links only
+        function(){
+            return User.withRelated('groups').remove({ id: 1 })
+                .then(function(user){
+                    test.deepEqual(user, { id: 1, login: 'a' });
+                    test.deepEqual(driver.getTable(Membership), [ { uid: 2, gid: 2 } ]);
+                    test.equal(driver.getTable(Group).length, 4);
+                });
+        }
+    ].reduce(Q.when, Q())
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        })
+        .done();
+};
+
+/** Test belongsTo
+ * @param {test|assert} test
+ */
+exports.testBelongsTo = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Models
+    var User = schema.define('User', {
+        id: Number,
+        login: String
+    }, { pk: 'id' });
+
+    var Post = schema.define('Post', {
+        id: Number,
+        uid: Number,
+        title: String
+    }, { pk: 'id' });
+
+    // Relations
+    Post.belongsTo('author', User, {'uid':'id'});
+
+    // Structure
+    test.deepEqual(Post.relations.author.fields, {'uid':'id'});
+    test.ok(!Post.relations.author.arrayRelation);
+    test.ok(Post.relations.author.savedBefore);
+
+    test.throws(function(){
+        Post.belongsTo('any', User, {'uid':'???'});
+    }, errors.MissyRelationError);
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    return [
+        function(){
+            return schema.connect();
+        },
+        // insert(): saves the parent first & copies its key
+        function(){
+            return Post.withRelated('author').insert([
+                { id: 1, title: 'first', author: { id: 10, login: 'a' } },
+                { id: 2, title: 'second', author: { id: 20, login: 'b' } },
+                { id: 3, title: 'orphan' }
+            ])
+                .then(function(posts){
+                    test.deepEqual(_.pluck(posts, 'uid'), [10, 20, undefined]);
+                    test.deepEqual(driver.getTable(User), [ { id: 10, login: 'a' }, { id: 20, login: 'b' } ]);
+                    test.deepEqual(_.pluck(driver.getTable(Post), 'uid'), [10, 20, undefined]);
+                    test.ok(!_.any(driver.getTable(Post), 'author')); // relation field is not saved
+                });
+        },
+        // find(): loads the parent
+        function(){
+            return Post.withRelated('author').find({}, {}, 'id+')
+                .then(function(posts){
+                    test.deepEqual(posts, [
+                        { id: 1, uid: 10, title: 'first', author: { id: 10, login: 'a' } },
+                        { id: 2, uid: 20, title: 'second', author: { id: 20, login: 'b' } },
+                        { id: 3, title: 'orphan', author: undefined }
+                    ]);
+                });
+        },
+        // save(): re-attach to another parent, detach with `null`
+        function(){
+            return Post.withRelated('author').save([
+                { id: 1, title: 'first', author: { id: 20, login: 'B' } },
+                { id: 2, uid: 20, title: 'second', author: null }
+            ])
+                .then(function(posts){
+                    test.deepEqual(_.pluck(posts, 'uid'), [20, null]);
+                    test.deepEqual(driver.getTable(User), [ { id: 10, login: 'a' }, { id: 20, login: 'B' } ]);
+                    test.deepEqual(_.pluck(driver.getTable(Post), 'uid'), [20, null, undefined]);
+                });
+        },
+        // update(): the parent is saved too
+        function(){
+            return Post.withRelated('author').update({ id: 3, title: 'adopted', author: { id: 30, login: 'c' } })
+                .then(function(post){
+                    test.equal(post.uid, 30);
+                    test.equal(driver.getTable(User).length, 3);
+                });
+        },
+        // removeRelated(): detaches, keeps the parent
+        function(){
+            return Post.removeRelated([ { id: 1, uid: 20 } ], 'author')
+                .then(function(posts){
+                    test.deepEqual(posts, [ { id: 1, uid: null } ]);
+                    test.deepEqual(_.pluck(driver.getTable(Post), 'uid'), [null, null, 30]);
+                    test.equal(driver.getTable(User).length, 3);
+                });
+        },
+        // remove(): the parent is kept
+        function(){
+            return Post.withRelated('author').remove({ id: 3 })
+                .then(function(post){
+                    test.deepEqual(_.pluck(driver.getTable(Post), 'id'), [1, 2]);
+                    test.equal(driver.getTable(User).length, 3);
+                });
+        }
+    ].reduce(Q.when, Q())
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        })
+        .done();
+};
+
+/** Test morphTo, morphMany
+ * @param {test|assert} test
+ */
+exports.testMorph = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Models
+    var User = schema.define('User', {
+        id: Number,
+        login: String
+    }, { pk: 'id' });
+
+    var Post = schema.define('Post', {
+        id: Number,
+        uid: Number,
+        title: String
+    }, { pk: 'id' });
+
+    var Photo = schema.define('Photo', {
+        id: Number,
+        url: String
+    }, { pk: 'id' });
+
+    var Comment = schema.define('Comment', {
+        id: Number,
+        commentable_type: String,
+        commentable_id: Number,
+        text: String
+    }, { pk: 'id' });
+
+    // Relations
+    User.hasMany('posts', Post, {'id':'uid'});
+    Post.morphMany('comments', Comment, 'commentable_type', {'id':'commentable_id'});
+    Photo.morphMany('comments', Comment, 'commentable_type', {'id':'commentable_id'}, undefined, { onRemove: 'nullify' });
+    Post.morphMany('firstComments', Comment, 'commentable_type', {'id':'commentable_id'}, undefined, { sort: { id: 1 }, limit: 1 });
+    Comment.morphTo('commentable', 'commentable_type', {'commentable_id':'id'});
+
+    // Structure
+    test.equal(Post.relations.comments.type, 'Post');
+    test.equal(Photo.relations.comments.onRemove, 'nullify');
+    test.equal(Post.relations.firstComments.scope.limit, 1);
+    test.equal(Post.relations.comments.typeField, 'commentable_type');
+    test.ok(Post.relations.comments.arrayRelation);
+    test.strictEqual(Comment.relations.commentable.foreign, undefined);
+    test.deepEqual(Comment.relations.commentable.fields, {'commentable_id':'id'});
+    test.ok(!Comment.relations.commentable.arrayRelation);
+    test.ok(Comment.relations.commentable.savedBefore);
+
+    test.throws(function(){
+        Post.morphMany('any', Comment, '???', {'id':'commentable_id'});
+    }, errors.MissyRelationError);
+    test.throws(function(){
+        Comment.morphTo('any', '???', {'commentable_id':'id'});
+    }, errors.MissyRelationError);
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    var findCalls = 0,
+        find = driver.find;
+    driver.find = function(){
+        findCalls++;
+        return find.apply(this, arguments);
+    };
+
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return Q.all([
+                User.insert([ { id: 1, login: 'a' } ]),
+                Post.insert([ { id: 1, uid: 1, title: 'post 1' }, { id: 2, uid: 1, title: 'post 2' } ]),
+                Photo.insert([ { id: 1, url: 'photo 1' } ]),
+                Comment.insert([
+                    { id: 1, commentable_type: 'Post', commentable_id: 1, text: 'c1' },
+                    { id: 2, commentable_type: 'Photo', commentable_id: 1, text: 'c2' },
+                    { id: 3, commentable_type: 'Post', commentable_id: 2, text: 'c3' },
+                    { id: 4, text: 'c4' }
+                ])
+            ]);
+        },
+        // morphTo: load, one query per type
+        function(){
+            findCalls = 0;
+            return Comment.withRelated('commentable').find({}, {}, 'id+')
+                .then(function(comments){
+                    test.equal(findCalls, 1 + 2);
+                    test.deepEqual(_.pluck(comments, 'commentable'), [
+                        { id: 1, uid: 1, title: 'post 1' },
+                        { id: 1, url: 'photo 1' },
+                        { id: 2, uid: 1, title: 'post 2' },
+                        undefined
+                    ]);
+                });
+        },
+        // morphMany: load, only the own type
+        function(){
+            return Q.all([
+                Post.withRelated('comments', undefined, 'id+').find({}, {}, 'id+'),
+                Photo.withRelated('comments').find()
+            ])
+                .spread(function(posts, photos){
+                    test.deepEqual(_.map(posts, function(post){ return _.pluck(post.comments, 'id'); }), [ [1], [3] ]);
+                    test.deepEqual(_.pluck(photos[0].comments, 'id'), [2]);
+                });
+        },
+        // morphMany: scope
+        function(){
+            return Post.withRelated('firstComments').find({ id: 1 })
+                .then(function(posts){
+                    test.deepEqual(_.pluck(posts[0].firstComments, 'id'), [1]);
+                });
+        },
+        // Deep paths
+        function(){
+            return User
+                .withRelated('posts')
+                .withRelated('posts.comments')
+                .withRelated('posts.comments.commentable')
+                .findOne({ id: 1 })
+                .then(function(user){
+                    test.deepEqual(_.pluck(user.posts[0].comments, 'text'), ['c1']);
+                    test.strictEqual(user.posts[0].comments[0].commentable.title, 'post 1');
+                });
+        },
+        function(){
+            return Comment.withRelated('commentable.comments').find()
+                .then(shouldNever('Test: polymorphic deep path'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyModelError);
+                });
+        },
+        // Unknown type
+        function(){
+            return Comment.loadRelated({ id: 5, commentable_type: 'Video', commentable_id: 1 }, 'commentable')
+                .then(shouldNever('Test: unknown type'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyRelationError);
+                });
+        },
+        // morphMany: save sets the type
+        function(){
+            return Photo.withRelated('comments').save({ id: 2, url: 'photo 2', comments: [ { id: 5, text: 'c5' } ] })
+                .then(function(){
+                    test.deepEqual(_.last(driver.getTable(Comment)), { id: 5, commentable_type: 'Photo', commentable_id: 2, text: 'c5' });
+                });
+        },
+        // morphTo: save the parent first, copy the key
+        function(){
+            return Comment.withRelated('commentable').insert({ id: 6, commentable_type: 'Post', text: 'c6', commentable: { id: 3, uid: 1, title: 'post 3' } })
+                .then(function(comment){
+                    test.equal(comment.commentable_id, 3);
+                    test.equal(driver.getTable(Post).length, 3);
+                });
+        },
+        function(){
+            return Comment.withRelated('commentable').insert({ id: 7, text: 'c7', commentable: { id: 4 } })
+                .then(shouldNever('Test: save with no type'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyRelationError);
+                });
+        },
+        // morphTo: detach
+        function(){
+            return Comment.removeRelated({ id: 6 }, 'commentable')
+                .then(function(){
+                    test.deepEqual(_.find(driver.getTable(Comment), { id: 6 }), { id: 6, commentable_type: null, commentable_id: null, text: 'c6' });
+                    test.equal(driver.getTable(Post).length, 3);
+                });
+        },
+        // morphMany: remove only the own type
+        function(){
+            return Post.withRelated('comments').remove({ id: 1 })
+                .then(function(){
+                    test.deepEqual(_.pluck(driver.getTable(Comment), 'id'), [2, 3, 4, 5, 6]);
+                });
+        },
+        // morphMany: onRemove=nullify clears the type as well
+        function(){
+            return Photo.remove({ id: 1 })
+                .then(function(){
+                    test.deepEqual(_.find(driver.getTable(Comment), { id: 2 }), { id: 2, commentable_type: null, commentable_id: null, text: 'c2' });
+                    test.deepEqual(_.find(driver.getTable(Comment), { id: 5 }), { id: 5, commentable_type: 'Photo', commentable_id: 2, text: 'c5' });
+                });
+        }
+    ].reduce(Q.when, Q())
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        })
+        .done();
+};
+
+/** Test relation scopes
+ * @param {test|assert} test
+ */
+exports.testRelationScope = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Models
+    var User = schema.define('User', {
+        id: Number,
+        login: String
+    }, { pk: 'id' });
+
+    var Post = schema.define('Post', {
+        id: Number,
+        uid: Number,
+        published: Boolean,
+        ctime: Number
+    }, { pk: 'id' });
+
+    // Relations
+    User.hasMany('publishedPosts', Post, {'id':'uid'}, { where: { published: true }, sort: 'ctime-', limit: 2 });
+    User.hasOne('lastPost', Post, {'id':'uid'}, { sort: 'ctime-', limit: 1 });
+    User.hasMany('posts', Post, {'id':'uid'});
+
+    // Structure
+    test.deepEqual(User.relations.publishedPosts.scope.where, { published: true });
+    test.deepEqual(User.relations.publishedPosts.scope.sort.sort, { ctime: -1 });
+    test.strictEqual(User.relations.publishedPosts.scope.limit, 2);
+    test.deepEqual(User.relations.posts.scope.where, undefined);
+    test.strictEqual(User.relations.posts.scope.limit, 0);
+
+    test.throws(function(){
+        User.hasMany('any', Post, {'id':'uid'}, { where: { published: { $unknown: 1 } } });
+    }, errors.MissyModelError);
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return Q.all([
+                User.insert([ { id: 1, login: 'a' }, { id: 2, login: 'b' } ]),
+                Post.insert([
+                    { id: 1, uid: 1, published: true, ctime: 1 },
+                    { id: 2, uid: 1, published: false, ctime: 2 },
+                    { id: 3, uid: 1, published: true, ctime: 3 },
+                    { id: 4, uid: 1, published: true, ctime: 4 },
+                    { id: 5, uid: 2, published: true, ctime: 5 },
+                    { id: 6, uid: 2, published: false, ctime: 6 }
+                ])
+            ]);
+        },
+        // Load: criteria, sort, per-parent limit
+        function(){
+            return User.withRelated(['publishedPosts', 'lastPost']).find({}, {}, 'id+')
+                .then(function(users){
+                    test.deepEqual(_.map(users, function(user){ return _.pluck(user.publishedPosts, 'id'); }), [ [4, 3], [5] ]);
+                    test.deepEqual(_.map(users, function(user){ return user.lastPost.id; }), [ 4, 6 ]);
+                });
+        },
+        // Load: the argument sort takes precedence
+        function(){
+            return User.loadRelated({ id: 1 }, 'publishedPosts', undefined, 'ctime+')
+                .then(function(user){
+                    test.deepEqual(_.pluck(user.publishedPosts, 'id'), [1, 3]);
+                });
+        },
+        // Save: the equality conditions are applied
+        function(){
+            return User.withRelated('publishedPosts').save({ id: 2, login: 'b', publishedPosts: [ { id: 7, ctime: 7 } ] })
+                .then(function(){
+                    test.deepEqual(_.find(driver.getTable(Post), { id: 7 }), { id: 7, uid: 2, published: true, ctime: 7 });
+                    test.deepEqual(_.pluck(_.filter(driver.getTable(Post), { uid: 2 }), 'id'), [5, 6, 7]);
+                });
+        },
+        // Remove: only the scoped entities
+        function(){
+            return User.removeRelated({ id: 2 }, 'publishedPosts')
+                .then(function(){
+                    test.deepEqual(_.pluck(_.filter(driver.getTable(Post), { uid: 2 }), 'id'), [6]);
+                });
+        }
+    ].reduce(Q.when, Q())
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        })
+        .done();
+};
+
+/** Test per-parent skip & limit
+ * @param {test|assert} test
+ */
+exports.testPerParentLimit = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Models
+    var Post = schema.define('Post', {
+        id: Number,
+        title: String
+    }, { pk: 'id' });
+
+    var Comment = schema.define('Comment', {
+        id: Number,
+        post_id: Number,
+        ctime: Number
+    }, { pk: 'id' });
+
+    // Relations
+    Post.hasMany('comments', Comment, {'id':'post_id'});
+    Post.hasMany('lastComments', Comment, {'id':'post_id'}, { sort: 'ctime-', limit: 2 });
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    var partitions = [],
+        findPartitioned = driver.findPartitioned;
+    driver.findPartitioned = function(model, partition){
+        partitions.push(partition);
+        return findPartitioned.apply(this, arguments);
+    };
+
+    var commentIds = function(posts, prop){
+        return _.map(posts, function(post){ return _.pluck(post[prop], 'id'); });
+    };
+
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return Q.all([
+                Post.insert([ { id: 1 }, { id: 2 }, { id: 3 } ]),
+                Comment.insert([
+                    { id: 1, post_id: 1, ctime: 1 },
+                    { id: 2, post_id: 2, ctime: 2 },
+                    { id: 3, post_id: 1, ctime: 3 },
+                    { id: 4, post_id: 1, ctime: 4 },
+                    { id: 5, post_id: 2, ctime: 5 },
+                    { id: 6, post_id: 1, ctime: 6 }
+                ])
+            ]);
+        },
+        // perParentLimit, perParentSkip: partitioned by the driver
+        function(){
+            return Post.withRelated('comments', undefined, 'ctime-', { perParentLimit: 2, perParentSkip: 1 }).find({}, {}, 'id+')
+                .then(function(posts){
+                    test.deepEqual(commentIds(posts, 'comments'), [ [4, 3], [2], [] ]);
+                    test.deepEqual(partitions, [ { fields: ['post_id'], skip: 1, limit: 2 } ]);
+                });
+        },
+        // The scope limit is the default
+        function(){
+            return Post.withRelated('lastComments').find({}, {}, 'id+')
+                .then(function(posts){
+                    test.deepEqual(commentIds(posts, 'lastComments'), [ [6, 4], [5, 2], [] ]);
+                    return Post.loadRelated(posts, 'lastComments', undefined, undefined, { perParentLimit: 3 });
+                })
+                .then(function(posts){
+                    test.deepEqual(commentIds(posts, 'lastComments'), [ [6, 4, 3], [5, 2], [] ]);
+                    return Post.loadRelated(posts, 'lastComments', undefined, undefined, { perParentLimit: 0 });
+                })
+                .then(function(posts){
+                    test.deepEqual(commentIds(posts, 'lastComments'), [ [6, 4, 3, 1], [5, 2], [] ]);
+                });
+        },
+        // No limits: a plain find()
+        function(){
+            partitions = [];
+            return Post.withRelated('comments').find()
+                .then(function(posts){
+                    test.deepEqual(partitions, []);
+                    test.deepEqual(commentIds(posts, 'comments'), [ [1, 3, 4, 6], [2, 5], [] ]);
+                });
+        },
+        // Driver without partitions: sliced in memory
+        function(){
+            driver.findPartitioned = undefined;
+            return Post.withRelated('comments', undefined, 'ctime-', { perParentLimit: 2, perParentSkip: 1 }).find({}, {}, 'id+')
+                .then(function(posts){
+                    test.deepEqual(commentIds(posts, 'comments'), [ [4, 3], [2], [] ]);
+                });
+        }
+    ].reduce(Q.when, Q())
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        })
+        .done();
+};
+
+/** Test withCount(), loadRelatedCount()
+ * @param {test|assert} test
+ */
+exports.testRelatedCount = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Models
+    var User = schema.define('User', {
+        id: Number,
+        login: String
+    }, { pk: 'id' });
+
+    var Group = schema.define('Group', {
+        id: Number,
+        title: String
+    }, { pk: 'id' });
+
+    var Membership = schema.define('Membership', {
+        uid: Number,
+        gid: Number
+    }, { pk: ['uid', 'gid'] });
+
+    var Post = schema.define('Post', {
+        id: Number,
+        uid: Number
+    }, { pk: 'id' });
+
+    var Comment = schema.define('Comment', {
+        id: Number,
+        post_id: Number,
+        spam: Boolean
+    }, { pk: 'id' });
+
+    // Relations
+    User.hasMany('posts', Post, {'id':'uid'});
+    User.hasManyThrough('groups', Group, Membership, {'id':'uid'}, {'id':'gid'});
+    Post.hasMany('comments', Comment, {'id':'post_id'});
+    Post.hasMany('hamComments', Comment, {'id':'post_id'}, { where: { spam: false } });
+    Post.belongsTo('author', User, {'uid':'id'});
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    var calls = { aggregate: 0, count: 0 };
+    _.each(calls, function(n, method){
+        var original = driver[method];
+        driver[method] = function(){
+            calls[method]++;
+            return original.apply(this, arguments);
+        };
+    });
+
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return Q.all([
+                User.insert([ { id: 1, login: 'a' }, { id: 2, login: 'b' } ]),
+                Group.insert([ { id: 1, title: 'admins' }, { id: 2, title: 'users' } ]),
+                Membership.insert([ { uid: 1, gid: 1 }, { uid: 1, gid: 2 }, { uid: 2, gid: 2 } ]),
+                Post.insert([ { id: 1, uid: 1 }, { id: 2, uid: 1 }, { id: 3, uid: 2 } ]),
+                Comment.insert([
+                    { id: 1, post_id: 1, spam: false },
+                    { id: 2, post_id: 1, spam: true },
+                    { id: 3, post_id: 1, spam: false },
+                    { id: 4, post_id: 2, spam: true }
+                ])
+            ]);
+        },
+        // withCount(): a single grouped query
+        function(){
+            return Post.withCount('comments').find({}, {}, 'id+')
+                .then(function(posts){
+                    test.equal(calls.aggregate, 1);
+                    test.deepEqual(posts, [
+                        { id: 1, uid: 1, commentsCount: 3 },
+                        { id: 2, uid: 1, commentsCount: 1 },
+                        { id: 3, uid: 2, commentsCount: 0 }
+                    ]);
+                });
+        },
+        // withCount(): criteria, scope, property
+        function(){
+            return Post
+                .withCount('comments', { spam: true }, { property: 'spamCount' })
+                .withCount('hamComments')
+                .find({}, {}, 'id+')
+                .then(function(posts){
+                    test.deepEqual(_.pluck(posts, 'spamCount'), [1, 1, 0]);
+                    test.deepEqual(_.pluck(posts, 'hamCommentsCount'), [2, 0, 0]);
+                    test.ok(!_.any(posts, 'commentsCount'));
+                });
+        },
+        // Deep paths
+        function(){
+            return User.withRelated('posts').withCount('posts.comments').findOne({ id: 1 })
+                .then(function(user){
+                    test.deepEqual(_.pluck(user.posts, 'commentsCount'), [3, 1]);
+                });
+        },
+        // hasManyThrough
+        function(){
+            return User.loadRelatedCount([ { id: 1 }, { id: 2 }, { id: 3 } ], 'groups')
+                .then(function(users){
+                    test.deepEqual(_.pluck(users, 'groupsCount'), [2, 1, 0]);
+                    return User.loadRelatedCount(users, 'groups', { title: 'users' }, { property: 'usersGroupCount' });
+                })
+                .then(function(users){
+                    test.deepEqual(_.pluck(users, 'usersGroupCount'), [1, 1, 0]);
+                });
+        },
+        // Driver without aggregation: a count() per entity
+        function(){
+            var aggregate = driver.aggregate;
+            driver.aggregate = undefined;
+            calls.count = 0;
+            return Post.loadRelatedCount([ { id: 1 }, { id: 2 }, { id: 1 }, { id: undefined } ], 'hamComments')
+                .then(function(posts){
+                    test.equal(calls.count, 2);
+                    test.deepEqual(_.pluck(posts, 'hamCommentsCount'), [2, 0, 2, 0]);
+                })
+                .finally(function(){
+                    driver.aggregate = aggregate;
+                });
+        },
+        // Unsupported relation
+        function(){
+            return Post.loadRelatedCount({ id: 1, uid: 1 }, 'author')
+                .then(shouldNever('Test: count on belongsTo'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyRelationError);
+                });
+        }
+    ].reduce(Q.when, Q())
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        })
+        .done();
+};
+
+/** Test onRemove
+ * @param {test|assert} test
+ */
+exports.testOnRemove = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Models
+    var User = schema.define('User', {
+        id: Number,
+        login: String
+    }, { pk: 'id' });
+
+    var Profile = schema.define('Profile', {
+        id: Number,
+        uid: Number
+    }, { pk: 'id' });
+
+    var Session = schema.define('Session', {
+        id: Number,
+        login: String
+    }, { pk: 'id' });
+
+    var Post = schema.define('Post', {
+        id: Number,
+        uid: Number
+    }, { pk: 'id' });
+
+    var Comment = schema.define('Comment', {
+        id: Number,
+        post_id: Number
+    }, { pk: 'id' });
+
+    // Relations
+    User.hasOne('profile', Profile, {'id':'uid'}, { onRemove: 'nullify' });
+    User.hasMany('sessions', Session, 'login', { onRemove: 'restrict' });
+    User.hasMany('posts', Post, {'id':'uid'}, { onRemove: 'cascade' });
+    Post.hasMany('comments', Comment, {'id':'post_id'}, { onRemove: 'cascade' });
+
+    // Structure
+    test.equal(User.relations.posts.onRemove, 'cascade');
+    test.throws(function(){
+        User.hasMany('any', Post, {'id':'uid'}, { onRemove: 'explode' });
+    }, errors.MissyRelationError);
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    var tableIds = function(model){
+        return _.pluck(driver.getTable(model), 'id');
+    };
+
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return Q.all([
+                User.insert([ { id: 1, login: 'a' }, { id: 2, login: 'b' }, { id: 3, login: 'c' } ]),
+                Profile.insert([ { id: 1, uid: 1 }, { id: 2, uid: 2 }, { id: 3, uid: 3 } ]),
+                Session.insert([ { id: 1, login: 'a' } ]),
+                Post.insert([ { id: 1, uid: 1 }, { id: 2, uid: 2 }, { id: 3, uid: 2 }, { id: 4, uid: 3 } ]),
+                Comment.insert([ { id: 1, post_id: 1 }, { id: 2, post_id: 2 }, { id: 3, post_id: 3 }, { id: 4, post_id: 4 } ])
+            ]);
+        },
+        // restrict: the partial entity is loaded to get the relation field
+        function(){
+            return User.remove({ id: 1 })
+                .then(shouldNever('Test: onRemove=restrict'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyRelationError);
+                    test.equal(e.relation, 'sessions');
+                    test.deepEqual(tableIds(User), [1, 2, 3]);
+                    test.deepEqual(tableIds(Post), [1, 2, 3, 4]);
+                });
+        },
+        // remove(): cascade (recursive), nullify
+        function(){
+            return User.remove({ id: 2 })
+                .then(function(user){
+                    test.deepEqual(user, { id: 2, login: 'b' });
+                    test.deepEqual(tableIds(User), [1, 3]);
+                    test.deepEqual(tableIds(Post), [1, 4]);
+                    test.deepEqual(tableIds(Comment), [1, 4]);
+                    test.deepEqual(_.pluck(driver.getTable(Profile), 'uid'), [1, null, 3]);
+                });
+        },
+        // removeQuery()
+        function(){
+            return User.removeQuery({ login: 'c' })
+                .then(function(users){
+                    test.deepEqual(_.pluck(users, 'id'), [3]);
+                    test.deepEqual(tableIds(Post), [1]);
+                    test.deepEqual(tableIds(Comment), [1]);
+                    test.deepEqual(_.pluck(driver.getTable(Profile), 'uid'), [1, null, null]);
+                });
+        },
+        function(){
+            return User.removeQuery({ id: { $in: [1, 2] } })
+                .then(shouldNever('Test: onRemove=restrict on removeQuery()'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyRelationError);
+                    test.deepEqual(tableIds(User), [1]);
+                });
+        },
+        // Once the restricting entities are gone
+        function(){
+            return Session.removeQuery({})
+                .then(function(){
+                    return User.remove({ id: 1 });
+                })
+                .then(function(){
+                    test.deepEqual(tableIds(User), []);
+                    test.deepEqual(tableIds(Post), []);
+                    test.deepEqual(tableIds(Comment), []);
+                });
+        }
+    ].reduce(Q.when, Q())
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        })
+        .done();
+};
+
+/** Test belongsTo options: the scope applies, the parents are never removed
+ * @param {test|assert} test
+ */
+exports.testBelongsToOptions = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Models
+    var User = schema.define('User', {
+        id: Number,
+        login: String,
+        active: Boolean
+    }, { pk: 'id' });
+
+    var Profile = schema.define('Profile', {
+        id: Number,
+        uid: Number
+    }, { pk: 'id' });
+
+    // Relations
+    Profile.belongsTo('user', User, {'uid':'id'}, { where: { active: true }, onRemove: 'ignore' });
+
+    // Structure
+    test.equal(Profile.relations.user.onRemove, 'ignore');
+    test.deepEqual(Profile.relations.user.scope.where, { active: true });
+    _.each(['cascade', 'nullify', 'restrict'], function(onRemove){
+        test.throws(function(){
+            Profile.belongsTo('any', User, {'uid':'id'}, { onRemove: onRemove });
+        }, errors.MissyRelationError, onRemove);
+    });
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    var tableIds = function(model){
+        return _.pluck(driver.getTable(model), 'id');
+    };
+
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return Q.all([
+                User.insert([ { id: 1, login: 'a', active: true }, { id: 2, login: 'b', active: false }, { id: 3, login: 'c', active: true } ]),
+                Profile.insert([ { id: 1, uid: 1 }, { id: 2, uid: 2 }, { id: 3, uid: 3 } ])
+            ]);
+        },
+        // Scope: loading
+        function(){
+            return Profile.withRelated('user').find({}, {}, 'id+')
+                .then(function(profiles){
+                    test.deepEqual(_.pluck(profiles, 'user'), [ { id: 1, login: 'a', active: true }, undefined, { id: 3, login: 'c', active: true } ]);
+                });
+        },
+        // Removal keeps the parents
+        function(){
+            return Profile.removeQuery({ id: { $in: [1, 2] } })
+                .then(function(){
+                    return Profile.withRelated('user').remove({ id: 3 });
+                })
+                .then(function(){
+                    test.deepEqual(tableIds(Profile), []);
+                    test.deepEqual(tableIds(User), [1, 2, 3]);
+                });
+        }
+    ].reduce(Q.when, Q())
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        })
+        .done();
+};
+
+/** Test relation accessors on loaded entities
+ * @param {test|assert} test
+ */
+exports.testRelationAccessors = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Models
+    var User = schema.define('User', {
+        id: Number,
+        login: String
+    }, {
+        pk: 'id',
+        entityPrototype: {
+            toString: function(){
+                return this.login;
+            }
+        }
+    });
+
+    var Post = schema.define('Post', {
+        id: Number,
+        uid: Number
+    }, { pk: 'id', relationAccessors: false });
+
+    // Relations
+    User.hasMany('posts', Post, {'id':'uid'});
+    Post.belongsTo('author', User, {'uid':'id'});
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    var findCalls = 0,
+        find = driver.find;
+    driver.find = function(){
+        findCalls++;
+        return find.apply(this, arguments);
+    };
+
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return Q.all([
+                User.insert([ { id: 1, login: 'a' } ]),
+                Post.insert([ { id: 1, uid: 1 }, { id: 2, uid: 1 } ])
+            ]);
+        },
+        // Accessors
+        function(){
+            return User.findOne({ id: 1 })
+                .then(function(user){
+                    test.equal(user + '', 'a'); // entityPrototype is kept
+                    test.ok(_.isFunction(user.posts));
+                    test.ok(_.isFunction(user.$load));
+                    test.deepEqual(Object.keys(user), ['id', 'login']);
+
+                    findCalls = 0;
+                    var promise = user.posts();
+                    test.strictEqual(user.$load('posts'), promise); // cached
+                    return promise.then(function(posts){
+                        test.equal(findCalls, 1);
+                        test.deepEqual(posts, [ { id: 1, uid: 1 }, { id: 2, uid: 1 } ]);
+                        // Serialization is not affected
+                        test.deepEqual(Object.keys(user), ['id', 'login']);
+                        test.equal(JSON.stringify(user), '{"id":1,"login":"a"}');
+                        return user.posts();
+                    }).then(function(){
+                        test.equal(findCalls, 1);
+                    });
+                });
+        },
+        // Errors are not cached
+        function(){
+            return User.findOne({ id: 1 })
+                .then(function(user){
+                    return user.$load('unknown')
+                        .then(shouldNever('Test: $load() unknown relation'))
+                        .catch(function(e){
+                            test.ok(e instanceof errors.MissyModelError);
+                            test.ok(!('unknown' in user.$related));
+                        });
+                });
+        },
+        // Loaded relations shadow the accessors
+        function(){
+            return User.withRelated('posts').findOne({ id: 1 })
+                .then(function(user){
+                    test.ok(_.isArray(user.posts));
+                });
+        },
+        // relationAccessors: false
+        function(){
+            return Post.findOne({ id: 1 })
+                .then(function(post){
+                    test.strictEqual(Object.getPrototypeOf(post), Object.prototype);
+                    test.strictEqual(post.author, undefined);
+                });
+        }
+    ].reduce(Q.when, Q())
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        })
+        .done();
+};
+
+/** Test tree relations: recursive loading, ancestors & descendants
+ * @param {test|assert} test
+ */
+exports.testTree = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Models
+    var Category = schema.define('Category', {
+        id: Number,
+        parent_id: Number
+    }, { pk: 'id' });
+
+    var Post = schema.define('Post', {
+        id: Number,
+        cid: Number
+    }, { pk: 'id' });
+
+    // Relations
+    Category.hasMany('children', Category, {'id':'parent_id'});
+    Category.hasMany('posts', Post, {'id':'cid'});
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    var findCalls = 0,
+        find = driver.find;
+    driver.find = function(){
+        findCalls++;
+        return find.apply(this, arguments);
+    };
+
+    var ids = function(entities){
+        return _.pluck(entities, 'id');
+    };
+
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return Category.insert([
+                // 1 -> (2 -> (4 -> 6, 5), 3)
+                { id: 1, parent_id: null },
+                { id: 2, parent_id: 1 },
+                { id: 3, parent_id: 1 },
+                { id: 4, parent_id: 2 },
+                { id: 5, parent_id: 2 },
+                { id: 6, parent_id: 4 },
+                // 7 -> 8 -> 7
+                { id: 7, parent_id: 8 },
+                { id: 8, parent_id: 7 }
+            ]);
+        },
+        // loadRelated(): recursive
+        function(){
+            findCalls = 0;
+            return Category.loadRelated({ id: 1 }, 'children', undefined, undefined, { recursive: true })
+                .then(function(root){
+                    test.equal(findCalls, 4); // a query per level
+                    test.deepEqual(root, { id: 1, children: [
+                        { id: 2, parent_id: 1, children: [
+                            { id: 4, parent_id: 2, children: [
+                                { id: 6, parent_id: 4, children: [] }
+                            ] },
+                            { id: 5, parent_id: 2, children: [] }
+                        ] },
+                        { id: 3, parent_id: 1, children: [] }
+                    ] });
+                });
+        },
+        // withRelated(): depth
+        function(){
+            return Category.withRelated('children', undefined, undefined, { depth: 2 }).findOne({ id: 1 })
+                .then(function(root){
+                    test.deepEqual(ids(root.children), [2, 3]);
+                    test.deepEqual(ids(root.children[0].children), [4, 5]);
+                    test.ok(!_.isArray(root.children[0].children[0].children));
+                });
+        },
+        // Overlapping roots are not cycles
+        function(){
+            return Category.find({ id: { $in: [1, 2] } })
+                .then(function(categories){
+                    return Category.loadRelated(categories, 'children', undefined, undefined, { recursive: true });
+                })
+                .then(function(categories){
+                    test.deepEqual(ids(categories[1].children), [4, 5]);
+                });
+        },
+        // loadDescendants()
+        function(){
+            return Q.all([
+                Category.loadDescendants({ id: 1 }, 'children'),
+                Category.loadDescendants({ id: 1 }, 'children', undefined, undefined, { depth: 1 }),
+                Category.loadDescendants({ id: 6 }, 'children')
+            ]).spread(function(all, depth1, leaf){
+                test.deepEqual(ids(all), [2, 3, 4, 5, 6]);
+                test.deepEqual(ids(all[0].children), [4, 5]);
+                test.deepEqual(ids(depth1), [2, 3]);
+                test.deepEqual(leaf, []);
+            });
+        },
+        // loadAncestors()
+        function(){
+            return Q.all([
+                Category.loadAncestors({ id: 6, parent_id: 4 }, 'children'),
+                Category.loadAncestors({ id: 1, parent_id: null }, 'children')
+            ]).spread(function(ancestors, root){
+                test.deepEqual(ids(ancestors), [4, 2, 1]);
+                test.deepEqual(root, []);
+            });
+        },
+        // Cycles
+        function(){
+            return Category.loadRelated({ id: 7 }, 'children', undefined, undefined, { recursive: true })
+                .then(shouldNever('Test: loadRelated() cycle'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyRelationError);
+                    test.equal(e.relation, 'children');
+                    test.equal(e.message, 'Category: children: Cycle detected: 7 -> 8 -> 7');
+                });
+        },
+        function(){
+            return Category.loadAncestors({ id: 7, parent_id: 8 }, 'children')
+                .then(shouldNever('Test: loadAncestors() cycle'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyRelationError);
+                    test.equal(e.message, 'Category: children: Cycle detected: 7 -> 8 -> 7');
+                });
+        },
+        // Errors
+        function(){
+            return Category.loadRelated({ id: 1 }, 'posts', undefined, undefined, { depth: 2 })
+                .then(shouldNever('Test: recursive loadRelated() not self-referencing'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyRelationError);
+                });
+        },
+        function(){
+            return Category.loadRelated({ id: 1 }, 'children', { parent_id: 1 }, undefined, { recursive: true })
+                .then(shouldNever('Test: recursive loadRelated() projection'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyRelationError);
+                });
+        },
+        function(){
+            return Category.loadAncestors({ id: 1 }, 'parent')
+                .then(shouldNever('Test: loadAncestors() unknown relation'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyModelError);
+                });
+        }
+    ].reduce(Q.when, Q())
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        })
+        .done();
+};
+
+/** Test the referential integrity checks
+ * @param {test|assert} test
+ */
+exports.testIntegrity = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {})
+        ;
+
+    // Models
+    var User = schema.define('User', {
+        id: Number
+    }, { pk: 'id' });
+
+    var Post = schema.define('Post', {
+        id: Number,
+        uid: Number
+    }, { pk: 'id' });
+
+    var Tag = schema.define('Tag', {
+        id: Number
+    }, { pk: 'id' });
+
+    var PostTag = schema.define('PostTag', {
+        pid: Number,
+        tid: Number
+    }, { pk: ['pid', 'tid'] });
+
+    var Comment = schema.define('Comment', {
+        id: Number,
+        ctype: String,
+        cid: Number
+    }, { pk: 'id' });
+
+    // Relations
+    User.hasMany('posts', Post, {'id':'uid'});
+    Post.belongsTo('author', User, {'uid':'id'});
+    Post.hasManyThrough('tags', Tag, PostTag, {'id':'pid'}, {'id':'tid'});
+    Post.morphMany('comments', Comment, 'ctype', {'id':'cid'});
+    Comment.morphTo('target', 'ctype', {'cid':'id'});
+
+    // Helpers
+    var shouldNever = common.shouldNeverFunc(test);
+
+    return [
+        // Fixtures
+        function(){
+            return schema.connect();
+        },
+        function(){
+            return Q.all([
+                User.insert([ { id: 1 } ]),
+                Post.insert([ { id: 1, uid: 1 }, { id: 2, uid: 9 }, { id: 3, uid: null } ]),
+                Tag.insert([ { id: 1 } ]),
+                PostTag.insert([ { pid: 1, tid: 1 }, { pid: 1, tid: 5 }, { pid: 7, tid: 1 } ]),
+                Comment.insert([
+                    { id: 1, ctype: 'Post', cid: 1 },
+                    { id: 2, ctype: 'Post', cid: 8 },
+                    { id: 3, ctype: 'Unknown', cid: 1 },
+                    { id: 4, ctype: null, cid: null }
+                ])
+            ]);
+        },
+        // hasMany, in batches
+        function(){
+            return User.checkIntegrity('posts', { batchSize: 1 })
+                .then(function(reports){
+                    test.deepEqual(reports, [
+                        { relation: 'User.posts', model: 'Post', fields: ['uid'], checked: 2, orphans: [ { id: 2, uid: 9 } ], fixed: 0 }
+                    ]);
+                });
+        },
+        // belongsTo, hasManyThrough, morphMany
+        function(){
+            return Post.checkIntegrity()
+                .then(function(reports){
+                    test.deepEqual(reports, [
+                        { relation: 'Post.author', model: 'Post', fields: ['uid'], checked: 2, orphans: [ { id: 2, uid: 9 } ], fixed: 0 },
+                        { relation: 'Post.tags', model: 'PostTag', fields: ['pid'], checked: 3, orphans: [ { pid: 7, tid: 1 } ], fixed: 0 },
+                        { relation: 'Post.tags', model: 'PostTag', fields: ['tid'], checked: 3, orphans: [ { pid: 1, tid: 5 } ], fixed: 0 },
+                        { relation: 'Post.comments', model: 'Comment', fields: ['cid'], checked: 2, orphans: [ { id: 2, cid: 8 } ], fixed: 0 }
+                    ]);
+                });
+        },
+        // morphTo
+        function(){
+            return Comment.checkIntegrity('target')
+                .then(function(reports){
+                    test.deepEqual(reports, [
+                        { relation: 'Comment.target', model: 'Comment', fields: ['ctype', 'cid'], checked: 3, orphans: [
+                            { id: 2, ctype: 'Post', cid: 8 },
+                            { id: 3, ctype: 'Unknown', cid: 1 }
+                        ], fixed: 0 }
+                    ]);
+                });
+        },
+        // Schema
+        function(){
+            return schema.checkIntegrity()
+                .then(function(reports){
+                    test.deepEqual(_.pluck(reports, 'relation'), ['User.posts', 'Post.author', 'Post.tags', 'Post.tags', 'Post.comments', 'Comment.target']);
+                });
+        },
+        // Fix: nullify
+        function(){
+            return Post.checkIntegrity('author', { fix: 'nullify' })
+                .then(function(reports){
+                    test.equal(reports[0].fixed, 1);
+                    test.deepEqual(reports[0].orphans, [ { id: 2, uid: 9 } ]);
+                    return Post.findOne({ id: 2 });
+                })
+                .then(function(post){
+                    test.deepEqual(post, { id: 2, uid: null });
+                });
+        },
+        // Fix: delete
+        function(){
+            return Post.checkIntegrity('tags', { fix: 'delete', batchSize: 2 })
+                .then(function(reports){
+                    test.deepEqual(_.pluck(reports, 'fixed'), [1, 1]);
+                    return PostTag.find();
+                })
+                .then(function(links){
+                    test.deepEqual(links, [ { pid: 1, tid: 1 } ]);
+                });
+        },
+        function(){
+            return Comment.checkIntegrity(undefined, { fix: 'delete' })
+                .then(function(){
+                    return schema.checkIntegrity();
+                })
+                .then(function(reports){
+                    test.deepEqual(_.flatten(_.pluck(reports, 'orphans')), []);
+                });
+        },
+        // Errors
+        function(){
+            return Post.checkIntegrity('author', { fix: 'drop' })
+                .then(shouldNever('Test: checkIntegrity() unsupported fix'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyModelError);
+                });
+        },
+        function(){
+            return Post.checkIntegrity('unknown')
+                .then(shouldNever('Test: checkIntegrity() unknown relation'))
+                .catch(function(e){
+                    test.ok(e instanceof errors.MissyModelError);
+                });
+        }
+    ].reduce(Q.when, Q())
+        .catch(shouldNever('Test error'))
+        .finally(function(){
+            test.done();
+        })
+        .done();
+};
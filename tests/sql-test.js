@@ -0,0 +1,254 @@
+'use strict';
+
+var _ = require('lodash'),
+    Schema = require('../lib').Schema,
+    sql = require('../lib').sql,
+    errors = require('../lib/errors')
+    ;
+
+/** Define the models
+ * @returns {{ User: Model, Membership: Model }}
+ */
+var define = function(){
+    var schema = new Schema('memory', {});
+    return {
+        User: schema.define('User', {
+            id: Number,
+            login: String,
+            age: Number,
+            tags: Array,
+            profile: Object,
+            ctime: Date
+        }, { pk: 'id' }),
+        Membership: schema.define('Membership', {
+            user_id: Number,
+            group_id: Number,
+            role: String
+        }, { pk: ['user_id', 'group_id'] })
+    };
+};
+
+/** Test the SQL compiler: statements in every dialect
+ * @param {test|assert} test
+ */
+exports.testCompiler = function(test){
+    var models = define(),
+        User = models.User,
+        Membership = models.Membership;
+
+    var pg = new sql.Compiler('postgres'),
+        my = new sql.Compiler('mysql'),
+        lite = new sql.Compiler(new sql.SqliteDialect());
+
+    test.ok(pg.dialect instanceof sql.PostgresDialect);
+    test.ok(new sql.Compiler('postgresql').dialect instanceof sql.PostgresDialect);
+    test.ok(my.dialect instanceof sql.MysqlDialect);
+    test.throws(function(){ new sql.Compiler('oracle'); }, errors.MissyError);
+
+    // select()
+    test.deepEqual(pg.select(User), { text: 'SELECT "id", "login", "age", "tags", "profile", "ctime" FROM "users"', values: [] });
+    test.deepEqual(pg.select(User, { id: '1' }, '+login,profile.city', 'age-,id', { skip: 10, limit: 5 }), {
+        text: 'SELECT "login", "profile" FROM "users" WHERE "id" = $1 ORDER BY "age" DESC, "id" ASC LIMIT 5 OFFSET 10',
+        values: [ 1 ] // converted
+    });
+    test.deepEqual(my.select(User, { id: 1 }, '-tags,profile,ctime', {}, { skip: 10 }), {
+        text: 'SELECT `id`, `login`, `age` FROM `users` WHERE `id` = ? LIMIT 18446744073709551615 OFFSET 10',
+        values: [ 1 ]
+    });
+    test.deepEqual(lite.select(User, {}, ['id'], {}, { skip: 10 }), {
+        text: 'SELECT "id" FROM "users" LIMIT -1 OFFSET 10',
+        values: []
+    });
+
+    // count()
+    test.deepEqual(pg.count(User, { age: { $gte: 18, $lt: 65 } }), {
+        text: 'SELECT COUNT(*) AS "count" FROM "users" WHERE ("age" >= $1 AND "age" < $2)',
+        values: [ 18, 65 ]
+    });
+    test.deepEqual(my.count(User), { text: 'SELECT COUNT(*) AS `count` FROM `users`', values: [] });
+
+    // insert()
+    var entities = [ { id: 1, login: 'a' }, { id: 2, age: 18, ctime: undefined } ];
+    test.deepEqual(pg.insert(User, entities, { returning: true }), {
+        text: 'INSERT INTO "users" ("id", "login", "age") VALUES ($1, $2, DEFAULT), ($3, DEFAULT, $4) RETURNING *',
+        values: [ 1, 'a', 2, 18 ]
+    });
+    test.deepEqual(my.insert(User, entities, { returning: true }), {
+        text: 'INSERT INTO `users` (`id`, `login`, `age`) VALUES (?, ?, DEFAULT), (?, DEFAULT, ?)', // not supported
+        values: [ 1, 'a', 2, 18 ]
+    });
+    test.deepEqual(lite.insert(User, entities[0]), {
+        text: 'INSERT INTO "users" ("id", "login") VALUES (?, ?)',
+        values: [ 1, 'a' ]
+    });
+    test.throws(function(){ lite.insert(User, entities); }, errors.MissyModelError); // no DEFAULT in VALUES
+    test.deepEqual(lite.insert(User, [ { id: 1, login: 'a' }, { id: 2, login: 'b' } ]).text, 'INSERT INTO "users" ("id", "login") VALUES (?, ?), (?, ?)');
+    test.throws(function(){ pg.insert(User, []); }, errors.MissyModelError);
+
+    // upsert()
+    var membership = { user_id: 1, group_id: 2, role: 'admin' };
+    test.deepEqual(pg.upsert(Membership, [ membership ]), {
+        text: 'INSERT INTO "memberships" ("user_id", "group_id", "role") VALUES ($1, $2, $3) ' +
+            'ON CONFLICT ("user_id", "group_id") DO UPDATE SET "role" = excluded."role"',
+        values: [ 1, 2, 'admin' ]
+    });
+    test.deepEqual(my.upsert(Membership, [ membership ]).text,
+        'INSERT INTO `memberships` (`user_id`, `group_id`, `role`) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE `role` = VALUES(`role`)'
+    );
+    test.deepEqual(my.upsert(Membership, [ _.omit(membership, 'role') ]).text,
+        'INSERT INTO `memberships` (`user_id`, `group_id`) VALUES (?, ?) ON DUPLICATE KEY UPDATE `user_id` = VALUES(`user_id`)'
+    );
+    test.deepEqual(lite.upsert(User, [ { id: 1, login: 'a' } ], { conflict: 'login', returning: true }).text,
+        'INSERT INTO "users" ("id", "login") VALUES (?, ?) ON CONFLICT ("login") DO UPDATE SET "id" = excluded."id" RETURNING *'
+    );
+    test.deepEqual(lite.upsert(Membership, [ _.omit(membership, 'role') ]).text,
+        'INSERT INTO "memberships" ("user_id", "group_id") VALUES (?, ?) ON CONFLICT ("user_id", "group_id") DO NOTHING'
+    );
+
+    // update()
+    var update = { $set: { login: 'b' }, $inc: { age: 1 }, $unset: { tags: '' }, $setOnInsert: { ctime: new Date() } };
+    test.deepEqual(pg.update(User, { id: 1 }, update, { multi: true }), {
+        text: 'UPDATE "users" SET "login" = $1, "age" = COALESCE("age", 0) + $2, "tags" = NULL WHERE "id" = $3',
+        values: [ 'b', 1, 1 ]
+    });
+    test.deepEqual(pg.update(User, { login: 'a' }, { $min: { age: 18 }, $currentDate: { ctime: true } }, { multi: false, returning: true }), {
+        text: 'UPDATE "users" SET "age" = CASE WHEN "age" IS NULL OR $1 < "age" THEN $2 ELSE "age" END, "ctime" = CURRENT_TIMESTAMP ' +
+            'WHERE "id" IN (SELECT "id" FROM "users" WHERE "login" = $3 LIMIT 1) RETURNING *',
+        values: [ 18, 18, 'a' ]
+    });
+    test.deepEqual(my.update(User, { login: 'a' }, { $mul: { age: 2 }, $currentDate: { ctime: { $type: 'timestamp' } } }, { multi: false }), {
+        text: 'UPDATE `users` SET `age` = COALESCE(`age`, 0) * ?, `ctime` = ROUND(UNIX_TIMESTAMP(CURRENT_TIMESTAMP(3)) * 1000) ' +
+            'WHERE `login` = ? LIMIT 1',
+        values: [ 2, 'a' ]
+    });
+    test.deepEqual(lite.update(Membership, { role: 'guest' }, { role: 'user' }, { multi: false }), {
+        text: 'UPDATE "memberships" SET "role" = ? ' +
+            'WHERE ("user_id", "group_id") IN (SELECT "user_id", "group_id" FROM "memberships" WHERE "role" = ? LIMIT 1)',
+        values: [ 'user', 'guest' ]
+    });
+    test.deepEqual(lite.update(User, {}, { $max: { age: 18 } }, { multi: true }).text,
+        'UPDATE "users" SET "age" = CASE WHEN "age" IS NULL OR ? > "age" THEN ? ELSE "age" END'
+    );
+    test.deepEqual(my.update(User, { id: 1 }, { login: 'b' }).text, 'UPDATE `users` SET `login` = ? WHERE `id` = ? LIMIT 1'); // multi=false by default
+
+    // Unsupported updates
+    _.each([
+        { $push: { tags: 'a' } },
+        { $rename: { login: 'name' } },
+        { $set: { 'profile.city': 'Kiev' } },
+        { $setOnInsert: { login: 'a' } }
+    ], function(update){
+        test.throws(function(){ pg.update(User, {}, update); }, errors.MissyModelError);
+    });
+
+    // remove()
+    test.deepEqual(pg.remove(User, { id: 1 }, { returning: true }), {
+        text: 'DELETE FROM "users" WHERE "id" = $1 RETURNING *',
+        values: [ 1 ]
+    });
+    test.deepEqual(my.remove(User), { text: 'DELETE FROM `users`', values: [] });
+
+    test.done();
+};
+
+/** Test the SQL compiler: criteria
+ * @param {test|assert} test
+ */
+exports.testCompiler_criteria = function(test){
+    var User = define().User;
+
+    var pg = new sql.Compiler('postgres'),
+        my = new sql.Compiler('mysql'),
+        lite = new sql.Compiler('sqlite');
+
+    /** Compile the WHERE condition
+     * @param {Compiler} compiler
+     * @param {Object} criteria
+     * @returns {{ text: String, values: Array }}
+     */
+    var where = function(compiler, criteria){
+        var stmt = compiler.remove(User, criteria);
+        stmt.text = stmt.text.replace(/^DELETE FROM \S+ WHERE /, '');
+        return stmt;
+    };
+
+    // Comparison
+    test.deepEqual(where(pg, { id: 1, login: null, age: { $gt: 1, $lte: 2 } }), {
+        text: '"id" = $1 AND "login" IS NULL AND ("age" > $2 AND "age" <= $3)',
+        values: [ 1, 1, 2 ]
+    });
+    test.deepEqual(where(pg, { login: { $ne: 'a' }, age: { $ne: null } }), {
+        text: '("login" <> $1 OR "login" IS NULL) AND "age" IS NOT NULL',
+        values: [ 'a' ]
+    });
+    test.deepEqual(where(pg, { ctime: { $lt: new Date('2014-01-01T00:00:00Z') } }).values, [ new Date('2014-01-01T00:00:00Z') ]);
+
+    // $in, $nin
+    test.deepEqual(where(pg, { id: { $in: [1, 2] }, login: { $in: ['a', null] }, age: { $in: [] } }), {
+        text: '"id" IN ($1, $2) AND ("login" IN ($3) OR "login" IS NULL) AND FALSE',
+        values: [ 1, 2, 'a' ]
+    });
+    test.deepEqual(where(pg, { id: { $nin: [1, 2] }, login: { $nin: ['a', null] }, age: { $nin: [null] } }), {
+        text: '("id" NOT IN ($1, $2) OR "id" IS NULL) AND "login" NOT IN ($3) AND "age" IS NOT NULL',
+        values: [ 1, 2, 'a' ]
+    });
+    test.equal(where(lite, { id: { $in: [] }, age: { $nin: [] } }).text, '0 AND 1');
+
+    // $exists, $not
+    test.equal(where(pg, { login: { $exists: true }, age: { $exists: false } }).text, '"login" IS NOT NULL AND "age" IS NULL');
+    test.deepEqual(where(pg, { age: { $not: { $gt: 18 } } }), { text: 'NOT COALESCE("age" > $1, FALSE)', values: [ 18 ] });
+    test.equal(where(lite, { age: { $not: { $gt: 18 } } }).text, 'NOT COALESCE("age" > ?, 0)');
+
+    // Patterns
+    var patterns = {
+        a: { $like: 'a%\\' },
+        b: { $startsWith: '50%_' },
+        c: { $endsWith: 'x', $options: 'i' },
+        d: { $regex: /^a+$/i },
+        e: { $regex: '^a', $options: 'i' }
+    };
+    test.deepEqual(where(pg, patterns), {
+        text: '"a" LIKE $1 AND "b" LIKE $2 AND "c" ILIKE $3 AND "d" ~* $4 AND "e" ~* $5',
+        values: [ 'a%\\\\', '50\\%\\_%', '%x', '^a+$', '^a' ]
+    });
+    test.deepEqual(where(my, patterns).text,
+        '`a` LIKE BINARY ? AND `b` LIKE BINARY ? AND LOWER(`c`) LIKE LOWER(?) AND ' +
+        "REGEXP_LIKE(`d`, ?, 'i') AND REGEXP_LIKE(`e`, ?, 'i')"
+    );
+    test.deepEqual(where(lite, patterns).text,
+        '"a" LIKE ? ESCAPE \'\\\' AND "b" LIKE ? ESCAPE \'\\\' AND LOWER("c") LIKE LOWER(?) ESCAPE \'\\\' AND ' +
+        '"d" REGEXP \'(?i)\' || ? AND "e" REGEXP \'(?i)\' || ?'
+    );
+
+    // Logical operators
+    test.deepEqual(where(pg, { $or: [ { id: 1 }, { id: 2, login: 'a' } ], $nor: [ { age: 1 } ] }), {
+        text: '("id" = $1 OR "id" = $2 AND "login" = $3) AND NOT ("age" = $4)',
+        values: [ 1, 2, 'a', 1 ]
+    });
+    test.deepEqual(where(pg, { $and: [ { $or: [ { id: 1 } ] }, { login: 'a' } ] }).text, '(("id" = $1) AND "login" = $2)');
+    test.equal(where(pg, { $or: [], $and: [], $nor: [] }).text, 'FALSE AND TRUE AND TRUE');
+
+    // Nested fields, arrays
+    test.deepEqual(where(pg, { 'profile.address.city': 'Kiev', tags: { $size: 2 } }), {
+        text: '("profile" #> \'{address,city}\') = $1::jsonb AND jsonb_array_length("tags") = $2',
+        values: [ '"Kiev"', 2 ]
+    });
+    test.deepEqual(where(pg, { 'profile.age': { $gt: 30, $nin: [ 40, null ] }, 'profile.tags': { $size: 1 }, 'profile.name': { $startsWith: 'a', $ne: null } }), {
+        text: '(("profile" #> \'{age}\') > $1::jsonb AND ("profile" #> \'{age}\') NOT IN ($2::jsonb))'
+            + ' AND jsonb_array_length(("profile" #> \'{tags}\')) = $3'
+            + ' AND (("profile" #>> \'{name}\') LIKE $4 AND ("profile" #>> \'{name}\') IS NOT NULL)',
+        values: [ '30', '40', 1, 'a%' ]
+    });
+    test.deepEqual(where(my, { 'profile.age': { $gt: 30 } }).values, [ 30 ]);
+    test.equal(where(my, { 'profile.city': 'Kiev', tags: { $size: 2 } }).text, '(`profile` ->> \'$.city\') = ? AND JSON_LENGTH(`tags`) = ?');
+    test.equal(where(lite, { 'profile.city': 'Kiev', tags: { $size: 2 } }).text, 'json_extract("profile", \'$.city\') = ? AND json_array_length("tags") = ?');
+    test.equal(pg.select(User, {}, {}, 'profile.city-').text,
+        'SELECT "id", "login", "age", "tags", "profile", "ctime" FROM "users" ORDER BY ("profile" #> \'{city}\') DESC'
+    );
+
+    // Unsupported
+    test.throws(function(){ pg.select(User, { tags: { $all: ['a'] } }); }, errors.MissyModelError);
+    test.throws(function(){ pg.select(User, { tags: { $elemMatch: { $gt: 1 } } }); }, errors.MissyModelError);
+
+    test.done();
+};
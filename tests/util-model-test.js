@@ -52,7 +52,8 @@ exports.testConverter = function(test){
     }, {
         table: 'user_profiles',
         pk: ['user_id', 'name'],
-        required: true
+        required: true,
+        indexes: [ 'name', { fields: ['user_id', 'data'], unique: true } ]
     });
 
     // Check whether the models are defined correctly
@@ -62,7 +63,9 @@ exports.testConverter = function(test){
         table: 'users', // generated: lowercase + plural
         pk: [ 'id' ], // default
         required: false, // default
-        entityPrototype: undefined // default
+        entityPrototype: undefined, // default
+        relationAccessors: true, // default
+        indexes: [] // default
     });
     test.deepEqual(Object.keys(User.fields), ['id','name','login','ctime','obj','roles','json','any', 'smile','enabled']);
     test.deepEqual(User.fields.id, { name: 'id', type: 'number', required: false, _model: User, _typeHandler: schema.types['number'] });
@@ -82,8 +85,13 @@ exports.testConverter = function(test){
         table: 'user_profiles', // override
         pk: [ 'user_id', 'name' ], // override
         required: true, // override
-        entityPrototype: undefined // default
+        entityPrototype: undefined, // default
+        relationAccessors: true, // default
+        indexes: [ { fields: ['name'], unique: false }, { fields: ['user_id', 'data'], unique: true } ] // override
     });
+    test.throws(function(){
+        schema.define('Any', { id: Number }, { indexes: [ 'id', 'nope' ] });
+    }, errors.MissyModelError);
 
     // Test converter: Load
     var testEntityImport = function(entity, expected){
@@ -374,6 +382,17 @@ exports.testMissyProjection = function(test){
     p = new u.MissyProjection({user_id:0, c:0});
     test.deepEqual(p.entityApply(Profile, {user_id:1, a:2,b:3,c:4}), { a:2,b:3 }); // empty, unchanged
 
+    // Dot-notation paths
+    p = new u.MissyProjection('+user_id,data.a.b');
+    test.deepEqual(p.entityApply(Profile, {user_id:1, name:'a', data: {a: {b:1, c:2}, d:3}}), { user_id:1, data: {a: {b:1}} });
+    test.ok(p.includesFields(['user_id', 'data.a.b', 'data.a.b.c']));
+    test.ok(!p.includesFields(['data']));
+
+    p = new u.MissyProjection('-data.a.b');
+    test.deepEqual(p.entityApply(Profile, {user_id:1, data: {a: {b:1, c:2}, d:3}}), { user_id:1, data: {a: {c:2}, d:3} });
+    test.ok(p.includesFields(['user_id', 'data']));
+    test.ok(!p.includesFields(['data.a.b']));
+
     test.done();
 };
 
@@ -504,6 +523,132 @@ exports.testMissyCriteria = function(test){
     testCriteria(new u.MissyCriteria(Log, { entry: { $exists: true } }), logs, [true,false,false]);
     testCriteria(new u.MissyCriteria(Log, { entry: { $exists: false } }), logs, [false,true,true]);
 
+    // Logical operators: normalization
+    c = new u.MissyCriteria(Log, {
+        uid: 1,
+        $or: [ { id: '1' }, { title: { $ne: 1 } } ],
+        $nor: { type: 'sms' },
+        id: { $not: { $in: [1, '2'] } }
+    });
+    mcEqual(c, { criteria: {
+        uid: { $eq: 1 },
+        $or: [ { id: { $eq: 1 } }, { title: { $ne: '1' } } ], // converted
+        $nor: [ { type: { $eq: 'sms' } } ], // scalar converted to array
+        id: { $not: { $in: [1, 2] } } // converted
+    } });
+
+    c = new u.MissyCriteria(Log, { id: { $not: '1' } });
+    mcEqual(c, { criteria: { id: { $not: { $eq: 1 } } } });
+
+    test.throws(function(){
+        new u.MissyCriteria(Log, { $xor: [] });
+    }, errors.MissyModelError);
+
+    test.throws(function(){
+        new u.MissyCriteria(Log, { $or: [ { id: { $wrong: 1 } } ] });
+    }, errors.MissyModelError);
+
+    // Logical operators: entityMatch
+    testCriteria(new u.MissyCriteria(Log, { $or: [ { id: 1 }, { uid: 2 } ] }), logs, [true,false,true]);
+    testCriteria(new u.MissyCriteria(Log, { $or: [] }), logs, [false,false,false]);
+    testCriteria(new u.MissyCriteria(Log, { $and: [ { uid: 1 }, { id: { $gt: 1 } } ] }), logs, [false,true,false]);
+    testCriteria(new u.MissyCriteria(Log, { $nor: [ { id: 1 }, { uid: 2 } ] }), logs, [false,true,false]);
+    testCriteria(new u.MissyCriteria(Log, { uid: 1, $or: [ { id: 2 }, { id: 3 } ] }), logs, [false,true,false]);
+    testCriteria(new u.MissyCriteria(Log, { $or: [ { $and: [ { uid: 1 }, { id: 2 } ] }, { id: 3 } ] }), logs, [false,true,true]);
+    testCriteria(new u.MissyCriteria(Log, { id: { $not: { $gt: 1 } } }), logs, [true,false,false]);
+    testCriteria(new u.MissyCriteria(Log, { id: { $not: 2 } }), logs, [true,false,true]);
+
+    // Pattern operators: normalization
+    c = new u.MissyCriteria(Log, {
+        title: { $regex: /^h/, $options: 'i' },
+        type: { $like: 'S%', $startsWith: 1 }
+    });
+    mcEqual(c, { criteria: {
+        title: { $regex: /^h/, $options: 'i' },
+        type: { $like: 'S%', $startsWith: 1 } // raw: not converted
+    } });
+
+    // Pattern operators: validation
+    _.each([
+        { title: { $options: 'i' } }, // no pattern
+        { title: { $not: { $options: 'i' } } },
+        { title: { $regex: '(' } }, // invalid pattern
+        { title: { $like: 'a%', $options: 'z' } } // invalid flags
+    ], function(criteria){
+        test.throws(function(){
+            new u.MissyCriteria(Log, criteria);
+        }, errors.MissyModelError);
+    });
+
+    // Pattern operators: entityMatch
+    testCriteria(new u.MissyCriteria(Log, { title: { $regex: 'e' } }), logs, [true,true,false]);
+    testCriteria(new u.MissyCriteria(Log, { title: { $regex: /^H/ } }), logs, [false,false,false]);
+    testCriteria(new u.MissyCriteria(Log, { title: { $regex: /^H/, $options: 'i' } }), logs, [true,false,false]);
+    testCriteria(new u.MissyCriteria(Log, { title: { $regex: /^H/i } }), logs, [true,false,false]);
+    testCriteria(new u.MissyCriteria(Log, { title: { $like: '%s%' } }), logs, [false,true,true]);
+    testCriteria(new u.MissyCriteria(Log, { title: { $like: 'he__o' } }), logs, [true,false,false]);
+    testCriteria(new u.MissyCriteria(Log, { title: { $like: 'YES%', $options: 'i' } }), logs, [false,true,false]);
+    testCriteria(new u.MissyCriteria(Log, { title: { $startsWith: 'wass' } }), logs, [false,false,true]);
+    testCriteria(new u.MissyCriteria(Log, { title: { $startsWith: 'Wass' } }), logs, [false,false,false]);
+    testCriteria(new u.MissyCriteria(Log, { title: { $startsWith: 'Wass', $options: 'i' } }), logs, [false,false,true]);
+    testCriteria(new u.MissyCriteria(Log, { title: { $endsWith: '?' } }), logs, [false,false,true]);
+    testCriteria(new u.MissyCriteria(Log, { title: { $not: { $endsWith: '?' } } }), logs, [true,true,false]);
+    testCriteria(new u.MissyCriteria(Log, { id: { $regex: '1' } }), logs, [false,false,false]); // non-strings never match
+
+    // Array operators: normalization
+    c = new u.MissyCriteria(Log, {
+        tags: { $all: 'a', $size: '2' },
+        entry: { $elemMatch: { id: '1', title: { $ne: 1 } } },
+        id: { $elemMatch: { $gt: '1' } }
+    });
+    mcEqual(c, { criteria: {
+        tags: { $all: ['a'], $size: 2 }, // elements are not converted
+        entry: { $elemMatch: { id: { $eq: '1' }, title: { $ne: 1 } } }, // not converted: not the model fields
+        id: { $elemMatch: { $gt: '1' } } // not converted
+    } });
+
+    _.each(['x', -1, 1.5, '', null, [2]], function(size){
+        test.throws(function(){
+            new u.MissyCriteria(Log, { tags: { $size: size } });
+        }, errors.MissyModelError);
+    });
+
+    // Array operators: entityMatch
+    var posts = [
+        { tags: ['a','b','c'], scores: [1, 5, 10], comments: [ { uid: 1, likes: 5 }, { uid: 2, likes: 0 } ] },
+        { tags: ['b'], scores: [], comments: [ { uid: 2, likes: 3 } ] },
+        { tags: 'a', scores: undefined, comments: 'none' }
+    ];
+    testCriteria(new u.MissyCriteria(Log, { tags: { $all: ['a', 'b'] } }), posts, [true,false,false]);
+    testCriteria(new u.MissyCriteria(Log, { tags: { $all: 'b' } }), posts, [true,true,false]);
+    testCriteria(new u.MissyCriteria(Log, { tags: { $all: [] } }), posts, [false,false,false]);
+    testCriteria(new u.MissyCriteria(Log, { tags: { $size: 1 } }), posts, [false,true,false]);
+    testCriteria(new u.MissyCriteria(Log, { scores: { $size: 0 } }), posts, [false,true,false]);
+    testCriteria(new u.MissyCriteria(Log, { scores: { $elemMatch: { $gt: 4, $lt: 6 } } }), posts, [true,false,false]);
+    testCriteria(new u.MissyCriteria(Log, { comments: { $elemMatch: { uid: 2, likes: { $gt: 0 } } } }), posts, [false,true,false]);
+    testCriteria(new u.MissyCriteria(Log, { comments: { $elemMatch: { $or: [ { likes: 5 }, { likes: 3 } ] } } }), posts, [true,true,false]);
+    testCriteria(new u.MissyCriteria(Log, { comments: { $not: { $elemMatch: { uid: 1 } } } }), posts, [false,true,true]);
+
+    // Dot-notation paths
+    c = new u.MissyCriteria(Log, { 'entry.msg': 1, 'entry.n': { $gt: '1' } });
+    mcEqual(c, { criteria: {
+        'entry.msg': { $eq: 1 }, // nested values are not converted
+        'entry.n': { $gt: '1' }
+    } });
+    testCriteria(new u.MissyCriteria(Log, { 'entry.msg': 'you there?' }), logs, [true,false,false]);
+    testCriteria(new u.MissyCriteria(Log, { 'entry.msg': { $exists: false } }), logs, [false,true,true]);
+    testCriteria(new u.MissyCriteria(Log, { 'tags.1': 'b' }), logs, [true,false,false]);
+    test.deepEqual(
+        new u.MissyCriteria(Log, { uid: 1, 'entry.msg': 'hi', 'entry.to.uid': 2 }).entityInsert(),
+        { uid: 1, entry: { msg: 'hi', to: { uid: 2 } } }
+    );
+
+    // entityInsert() collects $eq from $and
+    test.deepEqual(
+        new u.MissyCriteria(Log, { uid: 1, $and: [ { type: 'sms' }, { id: { $gt: 1 } } ], $or: [ { title: 'a' } ] }).entityInsert(),
+        { uid: 1, type: 'sms' }
+    );
+
     test.done();
 };
 
@@ -589,6 +734,20 @@ exports.testMissySort = function(test){
         [ b,a,d,c ]
     );
 
+    // Dot-notation paths
+    var e = { id: 5, address: { zip: 3 } },
+        f = { id: 6, address: { zip: 1 } },
+        g = { id: 7, address: { zip: 2 } };
+    s = new u.MissySort('address.zip-');
+    test.deepEqual(s, { sort: { 'address.zip': -1 } });
+    test.deepEqual(s.entitiesSort([e,f,g]), [ e,g,f ]);
+
+    // Equal dates fall through to the next field
+    var dates = _.map([ [1, 2], [2, 1], [3, 2], [4, 1] ], function(v){
+        return { id: v[0], ctime: new Date(v[1] * 1000) };
+    });
+    test.deepEqual(_.pluck(new u.MissySort({ ctime: +1, id: -1 }).entitiesSort(dates), 'id'), [4, 2, 3, 1]);
+
     test.done();
 };
 
@@ -648,5 +807,192 @@ exports.testMissyUpdate = function(test){
         { id:10,a:1,b:2,c:3,e:5,title:'1',tags:['a']}
     );
 
+    // Array operators
+    upd = new u.MissyUpdate(Profile, {
+        $push: { tags: 1, list: { $each: [1, 2], $slice: '-3' } },
+        $addToSet: { tags: { $each: 'b' } },
+        $pull: { nums: { $gte: 5 }, objs: { a: 1 }, strs: 'x' },
+        $pop: { first: -1, last: 1 }
+    });
+    test.deepEqual(upd.update, {
+        $push: {
+            tags: { $each: [1] }, // converted as an array
+            list: { $each: [1, 2], $slice: -3 } // unknown field: unchanged
+        },
+        $addToSet: { tags: { $each: ['b'] } },
+        $pull: {
+            nums: { $gte: 5 },
+            objs: { a: { $eq: 1 } },
+            strs: { $eq: 'x' }
+        },
+        $pop: { first: -1, last: 1 }
+    });
+    test.deepEqual(
+        upd.entityUpdate({
+            tags: ['a', 'b'],
+            list: [0, 0, 0],
+            nums: [1, 5, 3, 8],
+            objs: [ {a:1,b:1}, {a:2}, 3 ],
+            strs: ['x', 'y', 'x'],
+            first: [1, 2, 3],
+            last: [1, 2, 3]
+        }),
+        {
+            tags: ['a', 'b', 1], // pushed, not added twice
+            list: [0, 1, 2], // sliced
+            nums: [1, 3],
+            objs: [ {a:2}, 3 ],
+            strs: ['y'],
+            first: [2, 3],
+            last: [1, 2]
+        }
+    );
+    test.deepEqual(upd.entityInsert(), { tags: [1, 'b'], list: [1, 2], nums: [], objs: [], strs: [], first: [], last: [] });
+    test.throws(function(){
+        upd.entityUpdate({ tags: 'a' });
+    }, errors.MissyModelError);
+
+    upd = new u.MissyUpdate(Profile, { $push: { list: { $each: [1, 2, 3], $slice: 2 } }, $addToSet: { objs: { $each: [ {a:1}, {a:2} ] } } });
+    test.deepEqual(upd.entityUpdate({ list: [0], objs: [ {a:1} ] }), { list: [0, 1], objs: [ {a:1}, {a:2} ] });
+
+    // Numeric & date operators
+    upd = new u.MissyUpdate(Profile, {
+        $inc: { a: '2' },
+        $mul: { b: '1.5', c: 2 },
+        $min: { id: '5', lo: 3 },
+        $max: { hi: 3 },
+        $currentDate: { d: true, ts: { $type: 'timestamp' } }
+    });
+    test.deepEqual(upd.update, {
+        $inc: { a: 2 }, // converted
+        $mul: { b: 1.5, c: 2 },
+        $min: { id: 5, lo: 3 }, // converted
+        $max: { hi: 3 },
+        $currentDate: { d: { $type: 'date' }, ts: { $type: 'timestamp' } }
+    });
+    test.strictEqual(upd.update.$inc.a, 2);
+    test.strictEqual(upd.update.$min.id, 5);
+
+    var entity = upd.entityUpdate({ a: 1, b: 2, id: 6, lo: 1, hi: 1 });
+    test.ok(entity.d instanceof Date);
+    test.ok(_.isNumber(entity.ts) && entity.ts > 0);
+    test.deepEqual(_.omit(entity, 'd', 'ts'), { a: 3, b: 3, c: 0, id: 5, lo: 1, hi: 3 });
+
+    entity = upd.entityInsert();
+    test.deepEqual(_.omit(entity, 'd', 'ts'), { a: 2, b: 0, c: 0, id: 5, lo: 3, hi: 3 });
+
+    test.throws(function(){
+        upd.entityUpdate({ b: 'x' });
+    }, errors.MissyModelError);
+
+    // Dot-notation paths
+    upd = new u.MissyUpdate(Profile, {
+        'addr.city': 'Berlin',
+        $inc: { 'stats.hits': 1 },
+        $unset: { 'addr.zip': '' },
+        $rename: { 'addr.street': 'addr.line1' }
+    });
+    test.deepEqual(upd.update, {
+        $set: { 'addr.city': 'Berlin' },
+        $inc: { 'stats.hits': 1 },
+        $unset: { 'addr.zip': '' },
+        $rename: { 'addr.street': 'addr.line1' }
+    });
+    test.deepEqual(
+        upd.entityUpdate({ id: 1, addr: { zip: 1, street: 'Main' }, stats: { hits: 1 } }),
+        { id: 1, addr: { city: 'Berlin', line1: 'Main' }, stats: { hits: 2 } }
+    );
+
+    test.done();
+};
+
+/** Test MissyAggregate
+ * @param {test|assert} test
+ */
+exports.testMissyAggregate = function(test){
+    var driver = new MemoryDriver(),
+        schema = new Schema(driver, {});
+
+    schema.connect(); // just ignore the result
+
+    var Post = schema.define('Post', {
+        id: Number,
+        uid: Number,
+        likes: Number,
+        ctime: Date
+    }, { pk: 'id' });
+
+    var agg;
+
+    // Normalization
+    agg = new u.MissyAggregate(Post, { likes: { $gt: '0' } }, {
+        group: 'uid',
+        accumulators: { n: { $count: 1 }, total: { $sum: 'likes' }, best: { $max: 'likes' } },
+        sort: 'n-',
+        skip: '1',
+        limit: 2
+    });
+    test.deepEqual(agg.criteria.criteria, { likes: { $gt: 0 } });
+    test.deepEqual(agg.group, ['uid']);
+    test.deepEqual(agg.accumulators, { n: { $count: true }, total: { $sum: 'likes' }, best: { $max: 'likes' } });
+    test.deepEqual(agg.sort.sort, { n: -1 });
+    test.strictEqual(agg.skip, 1);
+    test.strictEqual(agg.limit, 2);
+
+    test.throws(function(){
+        new u.MissyAggregate(Post, {}, { accumulators: { n: { $median: 'likes' } } });
+    }, errors.MissyModelError);
+    test.throws(function(){
+        new u.MissyAggregate(Post, {}, { accumulators: { n: { $avg: 1 } } });
+    }, errors.MissyModelError);
+    test.throws(function(){
+        new u.MissyAggregate(Post, {}, { group: 'uid', accumulators: { uid: { $count: 1 } } });
+    }, errors.MissyModelError);
+
+    // MissyAggregate.entitiesAggregate
+    var posts = [
+        { id: 1, uid: 1, likes: 1, tags: { main: 'a' } },
+        { id: 2, uid: 1, likes: 5, tags: { main: 'b' } },
+        { id: 3, uid: 2, likes: 2, tags: { main: 'a' } },
+        { id: 4, uid: 3, likes: 0 },
+        { id: 5, uid: 3, likes: 4, tags: { main: 'a' } },
+        { id: 6, uid: 3, likes: null, tags: { main: 'b' } }
+    ];
+
+    agg = new u.MissyAggregate(Post, {}, {
+        group: ['uid'],
+        accumulators: { n: { $count: 1 }, total: { $sum: 'likes' }, avg: { $avg: 'likes' }, min: { $min: 'likes' }, max: { $max: 'likes' } },
+        sort: 'uid-'
+    });
+    test.deepEqual(agg.entitiesAggregate(posts), [
+        { uid: 3, n: 3, total: 4, avg: 2, min: 0, max: 4 },
+        { uid: 2, n: 1, total: 2, avg: 2, min: 2, max: 2 },
+        { uid: 1, n: 2, total: 6, avg: 3, min: 1, max: 5 }
+    ]);
+
+    agg = new u.MissyAggregate(Post, { likes: { $gt: 0 } }, {
+        group: 'tags.main,uid',
+        accumulators: { n: { $sum: 1 } },
+        sort: 'n-,uid+',
+        limit: 2
+    });
+    test.deepEqual(agg.entitiesAggregate(posts), [
+        { tags: { main: 'a' }, uid: 1, n: 1 },
+        { tags: { main: 'b' }, uid: 1, n: 1 }
+    ]);
+
+    // No grouping: a single row
+    agg = new u.MissyAggregate(Post, { uid: 10 }, {
+        accumulators: { n: { $count: 1 }, total: { $sum: 'likes' }, avg: { $avg: 'likes' }, max: { $max: 'likes' } }
+    });
+    test.deepEqual(agg.entitiesAggregate(posts), [ { n: 0, total: 0, avg: null, max: null } ]);
+
+    // MissyAggregate.rowImport
+    agg = new u.MissyAggregate(Post, {}, { group: 'uid', accumulators: { last: { $max: 'ctime' }, n: { $count: 1 } } });
+    var row = agg.rowImport({ uid: 1, last: '2014-01-01T00:00:00.000Z', n: 2 });
+    test.ok(row.last instanceof Date);
+    test.strictEqual(row.last.getTime(), Date.UTC(2014, 0, 1));
+    test.deepEqual(_.omit(row, 'last'), { uid: 1, n: 2 });
+
     test.done();
 };
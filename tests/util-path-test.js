@@ -0,0 +1,69 @@
+'use strict';
+
+var _ = require('lodash'),
+    path = require('../lib/util/path')
+    ;
+
+/** Test dot-notation path helpers
+ * @param {test|assert} test
+ */
+exports.testPath = function(test){
+    var obj = {
+        a: 1,
+        b: { c: 2, d: { e: 3 } },
+        j: '{"x":{"y":1}}',
+        s: 'string'
+    };
+
+    // get()
+    test.strictEqual(path.get(obj, 'a'), 1);
+    test.strictEqual(path.get(obj, 'b.c'), 2);
+    test.strictEqual(path.get(obj, 'b.d.e'), 3);
+    test.deepEqual(path.get(obj, 'b.d'), { e: 3 });
+    test.strictEqual(path.get(obj, 'b.z.e'), undefined);
+    test.strictEqual(path.get(obj, 'a.b'), undefined);
+    test.strictEqual(path.get(obj, 's.length'), undefined);
+    test.strictEqual(path.get(obj, 'j'), '{"x":{"y":1}}'); // not parsed on top
+    test.strictEqual(path.get(obj, 'j.x.y'), 1); // parsed JSON
+
+    // has()
+    test.ok(path.has(obj, 'a'));
+    test.ok(path.has(obj, 'b.d.e'));
+    test.ok(path.has(obj, 'j.x'));
+    test.ok(!path.has(obj, 'b.z'));
+    test.ok(!path.has(obj, 'b.z.e'));
+
+    // pick()
+    test.deepEqual(path.pick(obj, ['a', 'b.d.e', 'b.z', 'j.x.y']), { a: 1, b: { d: { e: 3 } }, j: { x: { y: 1 } } });
+
+    // omit()
+    test.deepEqual(path.omit(obj, ['a', 'b.d', 'j.x.y', 'z.z']), { b: { c: 2 }, j: '{"x":{}}', s: 'string' });
+    test.deepEqual(obj.b, { c: 2, d: { e: 3 } }); // original unchanged
+
+    // set()
+    path.set(obj, 'a', 10);
+    path.set(obj, 'b.d.f', 4);
+    path.set(obj, 'n.m', 5);
+    path.set(obj, 'j.x.z', 2);
+    test.deepEqual(obj, {
+        a: 10,
+        b: { c: 2, d: { e: 3, f: 4 } },
+        j: '{"x":{"y":1,"z":2}}', // serialized back
+        s: 'string',
+        n: { m: 5 } // created
+    });
+
+    // unset()
+    path.unset(obj, 'a');
+    path.unset(obj, 'b.d.e');
+    path.unset(obj, 'j.x.y');
+    path.unset(obj, 'z.z.z');
+    test.deepEqual(obj, {
+        b: { c: 2, d: { f: 4 } },
+        j: '{"x":{"z":2}}',
+        s: 'string',
+        n: { m: 5 }
+    });
+
+    test.done();
+};